@@ -4,49 +4,2688 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const { AsyncLocalStorage } = require('async_hooks');
 const archiver = require('archiver');
 const fse = require('fs-extra');
 const yauzl = require('yauzl');
-const fuzzaldrin = require('fuzzaldrin');
 const MarkdownIt = require('markdown-it');
 const puppeteer = require('puppeteer');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { minimatch } = require('minimatch');
+const Diff = require('diff');
+const ignore = require('ignore');
+const { fuzzy } = require('fast-fuzzy');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+    CallToolRequestSchema, ListToolsRequestSchema, RootsListChangedNotificationSchema, McpError, ErrorCode,
+} = require('@modelcontextprotocol/sdk/types.js');
+const packageInfo = require('./package.json');
+
+// --- Configuration ---
+
+const CONFIG_DIR = path.join(os.homedir(), '.gemini-fs-mcp');
+
+/**
+ * Load settings from the JSON config file (FS_MCP_CONFIG, or ~/.gemini-fs-mcp/config.json)
+ * and let environment variables override them.
+ */
+function loadConfig() {
+    const configPath = process.env.FS_MCP_CONFIG || path.join(CONFIG_DIR, 'config.json');
+    let fileConfig = {};
+    try {
+        fileConfig = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read config file at ${configPath}: ${error.message}`);
+        }
+    }
+    const loaded = { ...fileConfig };
+    if (process.env.FS_MCP_ROOTS) {
+        loaded.roots = process.env.FS_MCP_ROOTS.split(path.delimiter).filter(Boolean);
+    }
+    if (process.env.FS_MCP_DATA_DIR) {
+        loaded.dataDir = process.env.FS_MCP_DATA_DIR;
+    }
+    if (process.env.FS_MCP_READ_ONLY) {
+        loaded.readOnly = /^(1|true|yes)$/i.test(process.env.FS_MCP_READ_ONLY);
+    }
+    if (process.env.FS_MCP_POLICY) {
+        try {
+            loaded.policy = JSON.parse(fsSync.readFileSync(process.env.FS_MCP_POLICY, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read policy file at ${process.env.FS_MCP_POLICY}: ${error.message}`);
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Expand a leading "~" and make a configured path absolute (relative paths are taken
+ * from the home directory).
+ */
+function resolveConfigPath(configPath) {
+    return path.resolve(os.homedir(), configPath.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+let config = loadConfig();
+let configuredRoots = [];
+let clientRoots = [];
+
+/**
+ * Turn the `roots` setting (paths, or { name, path } objects) into named absolute roots.
+ * The first root is the default one that relative paths resolve against.
+ */
+function normalizeRoots(roots) {
+    const entries = roots && roots.length ? roots : [{ name: 'home', path: os.homedir() }];
+    const normalized = [];
+    for (const entry of entries) {
+        const rawPath = typeof entry === 'string' ? entry : entry.path;
+        if (typeof rawPath !== 'string' || !rawPath) {
+            throw new Error(`Invalid root in configuration: ${JSON.stringify(entry)}`);
+        }
+        const rootPath = resolveConfigPath(rawPath);
+        let baseName = (typeof entry === 'object' && entry.name) || (rootPath === os.homedir() ? 'home' : path.basename(rootPath)) || 'root';
+        baseName = baseName.replace(/[^\w.-]/g, '_');
+        let rootName = baseName;
+        for (let i = 2; normalized.some((root) => root.name === rootName); i++) {
+            rootName = `${baseName}-${i}`;
+        }
+        normalized.push({ name: rootName, path: rootPath });
+    }
+    return normalized;
+}
+
+/**
+ * Merge settings into the active configuration (e.g. `{ roots: ['/srv/projects'] }`).
+ * Passing `undefined` for a key restores its default.
+ */
+function configure(overrides) {
+    const next = { ...config, ...overrides };
+    validatePolicy(next.policy);
+    configuredRoots = normalizeRoots(next.roots);
+    config = next;
+}
+
+configure({});
+
+/**
+ * Where the server keeps its own state (audit log, ...). Defaults to ~/.gemini-fs-mcp.
+ */
+function getDataDir() {
+    return resolveConfigPath(config.dataDir || CONFIG_DIR);
+}
+
+const DEFAULT_MAX_RESPONSE_BYTES = 1024 * 1024;
+
+/**
+ * The most file content one read returns (`maxResponseBytes`, default 1 MiB). Longer reads are
+ * truncated and return a cursor to continue from.
+ */
+function getMaxResponseBytes() {
+    return config.maxResponseBytes || DEFAULT_MAX_RESPONSE_BYTES;
+}
+
+function isWithin(childPath, parentPath) {
+    const relative = path.relative(parentPath, childPath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Record the roots announced by an MCP client (pass [] to forget them).
+ */
+function setClientRoots(roots) {
+    clientRoots = roots.length ? normalizeRoots(roots) : [];
+}
+
+/**
+ * The roots tools may currently operate in, default root first. Client roots can only narrow
+ * access: one is kept only if it lies inside a configured root, and if none qualify the
+ * configured roots apply.
+ */
+function getAllowedRoots() {
+    const accepted = clientRoots.filter((root) => configuredRoots.some((configured) => isWithin(root.path, configured.path)));
+    return accepted.length ? accepted : configuredRoots;
+}
+
+// --- Access Policy ---
+
+const OPERATIONS = ['read', 'write', 'delete', 'archive', 'export'];
+
+/**
+ * Check the shape of a policy: `{ <operation or "*">: { allow: [globs], deny: [globs] } }`.
+ */
+function validatePolicy(policy) {
+    if (policy === undefined) {
+        return;
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('Invalid policy: expected an object keyed by operation.');
+    }
+    for (const [operation, rules] of Object.entries(policy)) {
+        if (operation !== '*' && !OPERATIONS.includes(operation)) {
+            throw new Error(`Invalid policy: unknown operation "${operation}". Use one of ${OPERATIONS.join(', ')} or "*".`);
+        }
+        for (const [effect, globs] of Object.entries(rules || {})) {
+            if (!['allow', 'deny'].includes(effect) || !Array.isArray(globs) || globs.some((glob) => typeof glob !== 'string')) {
+                throw new Error(`Invalid policy for "${operation}": expected "allow" and/or "deny" lists of globs.`);
+            }
+        }
+    }
+}
+
+/**
+ * The allow/deny globs for an operation: its own rules plus the "*" rules.
+ */
+function getPolicyRules(operation) {
+    const policy = config.policy || {};
+    const own = policy[operation] || {};
+    const shared = policy['*'] || {};
+    return {
+        allow: [...(shared.allow || []), ...(own.allow || [])],
+        deny: [...(shared.deny || []), ...(own.deny || [])],
+    };
+}
+
+/**
+ * Match one spelling of a path against a glob. Globs starting with "/" (or a drive letter)
+ * match the absolute path; others match the path relative to its root. With `partial`,
+ * a directory also matches if the glob could match something inside it.
+ */
+function matchesPolicyGlob(form, glob, partial) {
+    const target = path.posix.isAbsolute(glob) || path.win32.isAbsolute(glob) ? form.absolute : form.relative;
+    if (target === '') {
+        return partial;
+    }
+    const options = { dot: true, nocase: process.platform === 'win32' };
+    return minimatch(target, glob, options)
+        || minimatch(`${target}/`, glob, options)
+        || (partial && minimatch(target, glob, { ...options, partial: true }));
+}
+
+/**
+ * Throw unless the policy allows `operation` on a path. `forms` holds every spelling of the
+ * path (as given and as resolved through symlinks) so a link cannot be used to dodge a rule.
+ * Recursive operations on a directory are refused if a denied path could lie inside it.
+ */
+function checkPathPolicy(forms, operation, recursive) {
+    const { allow, deny } = getPolicyRules(operation);
+    const denied = deny.some((glob) => forms.some((form) => matchesPolicyGlob(form, glob, recursive)));
+    const notAllowed = allow.length > 0
+        && !forms.every((form) => allow.some((glob) => matchesPolicyGlob(form, glob, false)));
+    if (denied || notAllowed) {
+        throw new Error(`Access denied by policy: ${operation} is not allowed for ${forms[0].absolute}.`);
+    }
+}
+
+function toPolicyForm(absPath, rootPath) {
+    const toPosix = (p) => p.split(path.sep).join('/');
+    return { absolute: toPosix(absPath), relative: toPosix(path.relative(rootPath, absPath)) };
+}
+
+// --- Path Resolution ---
+
+/**
+ * Canonicalize a path with realpath, even if it does not exist yet: the nearest existing
+ * ancestor is resolved and the missing segments are appended. Dangling symlinks along the
+ * way are followed to where they point, since writing through them would land there.
+ */
+function resolveRealPath(absPath, depth = 0) {
+    if (depth > 40) {
+        throw new Error(`Too many levels of symbolic links: ${absPath}`);
+    }
+    const missing = [];
+    let existing = absPath;
+    for (;;) {
+        try {
+            return path.join(fsSync.realpathSync(existing), ...missing);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                throw error;
+            }
+        }
+        let linkTarget = null;
+        try {
+            if (fsSync.lstatSync(existing).isSymbolicLink()) {
+                linkTarget = path.resolve(path.dirname(existing), fsSync.readlinkSync(existing));
+            }
+        } catch {
+            // Does not exist at all; keep walking up.
+        }
+        if (linkTarget) {
+            return resolveRealPath(path.join(linkTarget, ...missing), depth + 1);
+        }
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+            return absPath;
+        }
+        missing.unshift(path.basename(existing));
+        existing = parent;
+    }
+}
+
+/**
+ * Securely resolve a user-supplied path against the allowed roots. Accepts paths relative to
+ * the default root, root-qualified paths ("projects:src/app.js") and absolute paths.
+ * Throws if the path is outside every allowed root, contains path traversal, or (through
+ * symlinks) really lives outside the roots. With `followSymlinks: false` in the configuration,
+ * any symlink below the root is refused, even one pointing back inside.
+ * `operation` (read, write, delete, archive or export) is checked against the access policy;
+ * pass `{ recursive: true }` when the operation affects everything below a directory.
+ */
+function resolveUserPath(userPath, operation = 'read', options = {}) {
+    const restricted = new Error('Access is restricted to the allowed roots.');
+    if (typeof userPath !== 'string' || userPath.includes('..') || userPath.startsWith('\\\\')) {
+        throw restricted;
+    }
+    const roots = getAllowedRoots();
+    let absPath;
+    const qualified = /^([\w.-]+):(.*)$/.exec(userPath);
+    const namedRoot = qualified && roots.find((root) => root.name === qualified[1]);
+    if (namedRoot) {
+        absPath = path.resolve(namedRoot.path, qualified[2].replace(/^[\\/]+/, ''));
+    } else if (path.isAbsolute(userPath)) {
+        absPath = path.resolve(userPath);
+    } else if (path.win32.isAbsolute(userPath)) {
+        // A Windows drive path on a POSIX system can never be inside a root.
+        throw restricted;
+    } else {
+        absPath = path.resolve(roots[0].path, userPath);
+    }
+    const containingRoot = roots.find((root) => isWithin(absPath, root.path));
+    if (!containingRoot) {
+        throw restricted;
+    }
+    const realPath = resolveRealPath(absPath);
+    const realRoots = roots.map((root) => resolveRealPath(root.path));
+    const realRoot = realRoots.find((candidate) => isWithin(realPath, candidate));
+    if (!realRoot) {
+        throw restricted;
+    }
+    if (config.followSymlinks === false) {
+        const expected = path.join(resolveRealPath(containingRoot.path), path.relative(containingRoot.path, absPath));
+        if (realPath !== expected) {
+            throw new Error(`Access through symbolic links is not allowed: ${absPath}`);
+        }
+    }
+    checkPathPolicy([toPolicyForm(absPath, containingRoot.path), toPolicyForm(realPath, realRoot)], operation, options.recursive);
+    const managedDirs = [getDataDir(), getTrashDir()].map((dir) => resolveRealPath(dir));
+    if (operation !== 'read' && managedDirs.some((dir) => isWithin(realPath, dir))) {
+        throw new Error(`Access denied: ${absPath} is managed by the server.`);
+    }
+    recordAuditPath(absPath);
+    return absPath;
+}
+
+// --- Audit Log ---
+
+const auditContext = new AsyncLocalStorage();
+const AUDIT_CONTENT_KEYS = new Set(['content', 'oldContent', 'newContent', 'oldString', 'newString', 'source']);
+const AUDIT_MAX_PATHS = 50;
+let auditWriteQueue = Promise.resolve();
+
+/**
+ * Settings for the audit log; `auditLog: false` in the configuration turns it off.
+ */
+function getAuditSettings() {
+    if (config.auditLog === false) {
+        return null;
+    }
+    const settings = config.auditLog || {};
+    return {
+        path: settings.path ? resolveConfigPath(settings.path) : path.join(getDataDir(), 'audit.jsonl'),
+        maxBytes: settings.maxBytes || 5 * 1024 * 1024,
+        maxFiles: settings.maxFiles || 5,
+    };
+}
+
+/**
+ * Remember a resolved path for the audit entry of the tool call in progress, if any.
+ */
+function recordAuditPath(absPath) {
+    const record = auditContext.getStore();
+    if (!record || record.paths.includes(absPath)) {
+        return;
+    }
+    record.pathCount++;
+    if (record.paths.length < AUDIT_MAX_PATHS) {
+        record.paths.push(absPath);
+    }
+}
+
+function hashContent(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Summarize tool arguments for the log: file contents and other bulky values are replaced
+ * by their hash and length, so the log never stores what was written.
+ */
+function summarizeArguments(args) {
+    const summary = {};
+    for (const [key, value] of Object.entries(args)) {
+        const isBulky = AUDIT_CONTENT_KEYS.has(key) || typeof value === 'object' || (typeof value === 'string' && value.length > 1024);
+        if (isBulky && value !== null) {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            summary[key] = { sha256: hashContent(text), length: text.length };
+        } else {
+            summary[key] = value;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Shift audit.jsonl -> audit.1.jsonl -> audit.2.jsonl ..., dropping the oldest.
+ */
+async function rotateAuditLog(settings) {
+    const { dir, name, ext } = path.parse(settings.path);
+    const rotated = (index) => path.join(dir, `${name}.${index}${ext}`);
+    await fs.rm(rotated(settings.maxFiles - 1), { force: true });
+    for (let index = settings.maxFiles - 2; index >= 1; index--) {
+        await fs.rename(rotated(index), rotated(index + 1)).catch((error) => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    await fs.rename(settings.path, rotated(1));
+}
+
+/**
+ * Append one entry to the audit log, rotating first if it would grow past maxBytes.
+ * Writes are queued so concurrent calls never interleave or race the rotation.
+ */
+function writeAuditEntry(entry) {
+    const settings = getAuditSettings();
+    if (!settings) {
+        return Promise.resolve();
+    }
+    const line = JSON.stringify(entry) + '\n';
+    auditWriteQueue = auditWriteQueue.then(async () => {
+        await fs.mkdir(path.dirname(settings.path), { recursive: true });
+        const size = await fs.stat(settings.path).then((stats) => stats.size, () => 0);
+        if (size > 0 && size + Buffer.byteLength(line) > settings.maxBytes) {
+            await rotateAuditLog(settings);
+        }
+        await fs.appendFile(settings.path, line);
+    }).catch((error) => {
+        console.error(`Could not write audit log: ${error.message}`);
+    });
+    return auditWriteQueue;
+}
+
+/**
+ * Run a mutating tool and log what it touched and how it went.
+ */
+async function runAudited(tool, args, context) {
+    const record = { paths: [], pathCount: 0 };
+    const startedAt = Date.now();
+    const log = (error) => writeAuditEntry({
+        timestamp: new Date(startedAt).toISOString(),
+        tool: tool.name,
+        paths: record.paths,
+        ...(record.pathCount > record.paths.length ? { pathCount: record.pathCount } : {}),
+        args: summarizeArguments(args),
+        outcome: error ? 'error' : 'success',
+        ...(error ? { error: error.message } : {}),
+        durationMs: Date.now() - startedAt,
+    });
+    try {
+        const result = await auditContext.run(record, () => tool.handler(args, context));
+        await log(null);
+        return result;
+    } catch (error) {
+        await log(error);
+        throw error;
+    }
+}
+
+/**
+ * Read audit entries, newest first, from the current log and its rotated files.
+ */
+async function readAuditLog(args) {
+    const settings = getAuditSettings();
+    if (!settings) {
+        throw new Error('The audit log is disabled.');
+    }
+    const limit = args.limit || 50;
+    const since = args.since ? Date.parse(args.since) : null;
+    if (Number.isNaN(since)) {
+        throw new Error(`Invalid since: ${args.since} is not a valid date.`);
+    }
+    const targetPath = args.path ? resolveUserPath(args.path, 'read') : null;
+    const { dir, name, ext } = path.parse(settings.path);
+    const files = [settings.path];
+    for (let index = 1; index < settings.maxFiles; index++) {
+        files.push(path.join(dir, `${name}.${index}${ext}`));
+    }
+    const entries = [];
+    for (const file of files) {
+        let text;
+        try {
+            text = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        const lines = text.split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (args.tool && entry.tool !== args.tool) continue;
+            if (args.outcome && entry.outcome !== args.outcome) continue;
+            if (since !== null && Date.parse(entry.timestamp) < since) continue;
+            if (targetPath && !entry.paths.some((entryPath) => isWithin(entryPath, targetPath))) continue;
+            entries.push(entry);
+            if (entries.length >= limit) {
+                return { entries };
+            }
+        }
+    }
+    return { entries };
+}
+
+// --- Trash ---
+
+/**
+ * The trash directory: `trash.dir` from the configuration, else the freedesktop.org home
+ * trash on Linux ($XDG_DATA_HOME/Trash), else a "trash" folder in the data directory.
+ * Either way it uses the freedesktop layout: files/<name> plus info/<name>.trashinfo.
+ */
+function getTrashDir() {
+    const settings = config.trash || {};
+    if (settings.dir) {
+        return resolveConfigPath(settings.dir);
+    }
+    if (process.platform === 'linux') {
+        return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'Trash');
+    }
+    return path.join(getDataDir(), 'trash');
+}
+
+function formatTrashDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function encodeTrashPath(absPath) {
+    return absPath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+async function getPathSize(targetPath) {
+    const stats = await fs.lstat(targetPath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    let total = 0;
+    for (const entry of await fs.readdir(targetPath)) {
+        total += await getPathSize(path.join(targetPath, entry));
+    }
+    return total;
+}
+
+/**
+ * Read every entry in the trash whose original location is inside an allowed root. Sizing an
+ * entry means walking it, so sizes are only computed `withSizes`.
+ */
+async function readTrashEntries({ withSizes = false } = {}) {
+    const trashDir = getTrashDir();
+    let infoFiles;
+    try {
+        infoFiles = await fs.readdir(path.join(trashDir, 'info'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const entries = [];
+    for (const infoFile of infoFiles.filter((file) => file.endsWith('.trashinfo'))) {
+        const id = infoFile.slice(0, -'.trashinfo'.length);
+        const info = await fs.readFile(path.join(trashDir, 'info', infoFile), 'utf8').catch(() => '');
+        const originalMatch = /^Path=(.*)$/m.exec(info);
+        const dateMatch = /^DeletionDate=(.*)$/m.exec(info);
+        if (!originalMatch || !dateMatch) continue;
+        // Other programs share the trash, so skip what we cannot read instead of failing on it.
+        const deletedAt = new Date(dateMatch[1]);
+        if (Number.isNaN(deletedAt.getTime())) continue;
+        let originalPath;
+        try {
+            originalPath = path.resolve(decodeURIComponent(originalMatch[1]));
+        } catch {
+            continue;
+        }
+        if (!getAllowedRoots().some((root) => isWithin(originalPath, root.path))) continue;
+        const trashedPath = path.join(trashDir, 'files', id);
+        let stats;
+        try {
+            stats = await fs.lstat(trashedPath);
+        } catch {
+            continue;
+        }
+        entries.push({
+            id,
+            originalPath,
+            deletedAt: deletedAt.toISOString(),
+            isDirectory: stats.isDirectory(),
+            ...(withSizes ? { size: await getPathSize(trashedPath) } : {}),
+            trashedPath,
+            infoPath: path.join(trashDir, 'info', infoFile),
+        });
+    }
+    entries.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+    return entries;
+}
+
+async function purgeTrashEntry(entry) {
+    await fs.rm(entry.trashedPath, { recursive: true, force: true });
+    await fs.rm(entry.infoPath, { force: true });
+}
+
+/**
+ * The items this server moved to the trash, oldest first, kept in the data directory as
+ * `{ trashDir, id, info, deletedAt, size }`. Retention only ever purges these, never things
+ * the user trashed from their desktop.
+ */
+function getTrashLedgerFile() {
+    return path.join(getDataDir(), 'trash-ledger.json');
+}
+
+async function readTrashLedger() {
+    try {
+        return JSON.parse(await fs.readFile(getTrashLedgerFile(), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+let trashLedgerUpdate = Promise.resolve();
+
+/** Replace the ledger with what `change` makes of it; updates run one at a time. */
+function updateTrashLedger(change) {
+    const run = trashLedgerUpdate.then(async () => {
+        const ledger = await change(await readTrashLedger());
+        await fs.mkdir(getDataDir(), { recursive: true });
+        await writeFileAtomic(getTrashLedgerFile(), JSON.stringify(ledger));
+    });
+    trashLedgerUpdate = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Enforce `trash.retentionDays` (default 30) and `trash.maxBytes` (no limit by default) on the
+ * items in the ledger: expired items go first, then the oldest until they fit. Items that were
+ * restored or emptied since, or whose .trashinfo no longer matches, are dropped from the ledger.
+ * Run after a deletion has completed; failures are logged, as the deletion itself succeeded.
+ */
+async function applyTrashRetention() {
+    const settings = config.trash || {};
+    const retentionDays = settings.retentionDays !== undefined ? settings.retentionDays : 30;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    await updateTrashLedger(async (ledger) => {
+        const kept = [];
+        for (const record of ledger) {
+            const entry = {
+                trashedPath: path.join(record.trashDir, 'files', record.id),
+                infoPath: path.join(record.trashDir, 'info', `${record.id}.trashinfo`),
+            };
+            if (await fs.readFile(entry.infoPath, 'utf8').catch(() => null) !== record.info) {
+                continue;
+            }
+            if (retentionDays > 0 && record.deletedAt < cutoff) {
+                await purgeTrashEntry(entry);
+            } else {
+                kept.push({ ...record, entry });
+            }
+        }
+        if (settings.maxBytes) {
+            let total = 0;
+            for (const record of kept) {
+                if (record.size === null) {
+                    record.size = await getPathSize(record.entry.trashedPath).catch(() => 0);
+                }
+                total += record.size;
+            }
+            while (total > settings.maxBytes && kept.length > 1) {
+                const oldest = kept.shift();
+                await purgeTrashEntry(oldest.entry);
+                total -= oldest.size;
+            }
+        }
+        return kept.map((record) => ({ trashDir: record.trashDir, id: record.id, info: record.info, deletedAt: record.deletedAt, size: record.size }));
+    }).catch((error) => {
+        console.error(`Could not apply trash retention: ${error.message}`);
+    });
+}
+
+/**
+ * Move a file or directory into the trash and return its trash id. The .trashinfo file is
+ * created first with O_EXCL to claim a unique name, as the freedesktop spec requires. Once the
+ * move succeeded this does not throw, so callers can always undo it; they apply retention
+ * themselves when they are done.
+ */
+async function moveToTrash(targetPath) {
+    const trashDir = getTrashDir();
+    await fs.mkdir(path.join(trashDir, 'files'), { recursive: true, mode: 0o700 });
+    await fs.mkdir(path.join(trashDir, 'info'), { recursive: true, mode: 0o700 });
+    const { name, ext } = path.parse(targetPath);
+    const deletedAt = new Date();
+    const info = `[Trash Info]\nPath=${encodeTrashPath(targetPath)}\nDeletionDate=${formatTrashDate(deletedAt)}\n`;
+    let id = `${name}${ext}`;
+    for (let attempt = 2; ; attempt++) {
+        try {
+            await fs.writeFile(path.join(trashDir, 'info', `${id}.trashinfo`), info, { flag: 'wx' });
+            if (!fsSync.existsSync(path.join(trashDir, 'files', id))) break;
+            await fs.rm(path.join(trashDir, 'info', `${id}.trashinfo`));
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        id = `${name}.${attempt}${ext}`;
+    }
+    try {
+        await fse.move(targetPath, path.join(trashDir, 'files', id));
+    } catch (error) {
+        await fs.rm(path.join(trashDir, 'info', `${id}.trashinfo`), { force: true });
+        throw error;
+    }
+    // An item missing from the ledger is merely never purged automatically.
+    await updateTrashLedger((ledger) => [...ledger, { trashDir, id, info, deletedAt: deletedAt.getTime(), size: null }]).catch((error) => {
+        console.error(`Could not record ${id} in the trash ledger: ${error.message}`);
+    });
+    return id;
+}
+
+async function findTrashEntry(id) {
+    const entry = (await readTrashEntries()).find((candidate) => candidate.id === id);
+    if (!entry) {
+        throw new Error(`No item with id "${id}" in the trash.`);
+    }
+    return entry;
+}
+
+function toTrashListing(entry) {
+    return {
+        id: entry.id,
+        originalPath: entry.originalPath,
+        deletedAt: entry.deletedAt,
+        isDirectory: entry.isDirectory,
+        size: entry.size,
+    };
+}
+
+async function listTrash() {
+    return { entries: (await readTrashEntries({ withSizes: true })).map(toTrashListing) };
+}
+
+async function restoreFromTrash(args) {
+    const entry = await findTrashEntry(args.id);
+    const destination = resolveUserPath(args.destinationPath || entry.originalPath, 'write', { recursive: entry.isDirectory });
+    if (fsSync.existsSync(destination)) {
+        throw new Error(`Cannot restore: something already exists at ${destination}. Pass a different destinationPath.`);
+    }
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fse.move(entry.trashedPath, destination);
+    await fs.rm(entry.infoPath, { force: true });
+    return { content: `Successfully restored ${entry.id} to: ${destination}` };
+}
+
+async function emptyTrash(args) {
+    let entries = await readTrashEntries();
+    if (args.id) {
+        entries = entries.filter((entry) => entry.id === args.id);
+        if (!entries.length) {
+            throw new Error(`No item with id "${args.id}" in the trash.`);
+        }
+    }
+    if (args.olderThanDays !== undefined) {
+        const cutoff = Date.now() - args.olderThanDays * 24 * 60 * 60 * 1000;
+        entries = entries.filter((entry) => Date.parse(entry.deletedAt) < cutoff);
+    }
+    for (const entry of entries) {
+        recordAuditPath(entry.originalPath);
+        await purgeTrashEntry(entry);
+    }
+    return { content: `Permanently deleted ${entries.length} item(s) from the trash.`, deletedCount: entries.length };
+}
+
+// --- Atomic Writes and Versioning ---
+
+/**
+ * Replace a file's contents by writing a temporary file in the same directory and renaming it
+ * over the target, so a crash mid-write never leaves a truncated file. The existing file's
+ * mode is kept; symbolic links are written through rather than replaced.
+ */
+async function writeFileAtomic(targetFile, data) {
+    let realTarget = targetFile;
+    let mode;
+    try {
+        realTarget = await fs.realpath(targetFile);
+        mode = (await fs.stat(realTarget)).mode & 0o7777;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    const tempFile = path.join(path.dirname(realTarget), `.${path.basename(realTarget)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    try {
+        const handle = await fs.open(tempFile, 'wx', mode === undefined ? 0o666 : mode);
+        try {
+            await handle.writeFile(data);
+            if (mode !== undefined) {
+                // The mode passed to open() is filtered by the umask.
+                await handle.chmod(mode);
+            }
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempFile, realTarget);
+    } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+/** SHA-256 of a file's bytes, as returned by readFile and getFileInfo. */
+async function hashFile(targetFile) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fsSync.createReadStream(targetFile)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Fail with a conflict error unless the file still matches the version the caller last saw,
+ * given as `expectedHash` (SHA-256 of its contents) and/or `expectedMtime` (ISO 8601 or
+ * milliseconds). Pass `contents` when the file has already been read to avoid hashing it twice.
+ */
+async function assertExpectedVersion(targetFile, args, contents) {
+    if (args.expectedHash === undefined && args.expectedMtime === undefined) {
+        return;
+    }
+    let stats;
+    try {
+        stats = await fs.stat(targetFile);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Conflict: ${targetFile} no longer exists.`);
+        }
+        throw error;
+    }
+    if (args.expectedMtime !== undefined) {
+        const expected = typeof args.expectedMtime === 'number' ? args.expectedMtime : Date.parse(args.expectedMtime);
+        if (Number.isNaN(expected)) {
+            throw new Error(`Invalid expectedMtime: ${args.expectedMtime}`);
+        }
+        if (stats.mtime.getTime() !== Math.floor(expected)) {
+            throw new Error(`Conflict: ${targetFile} was modified at ${stats.mtime.toISOString()}, not at the expected time. Read it again before writing.`);
+        }
+    }
+    if (args.expectedHash !== undefined) {
+        if (!stats.isFile()) {
+            throw new Error(`Conflict: ${targetFile} is not a file, so it has no content hash.`);
+        }
+        const actual = contents === undefined ? await hashFile(targetFile) : hashContent(contents);
+        if (actual !== args.expectedHash.toLowerCase()) {
+            throw new Error(`Conflict: ${targetFile} has changed since it was read (expected hash ${args.expectedHash}, found ${actual}). Read it again before writing.`);
+        }
+    }
+}
+
+// --- Text Matching ---
+
+/**
+ * Build the global RegExp used to find `pattern`: its literal text by default, or the pattern
+ * itself with the caller's flags when `matchMode` is "regex". `caseInsensitive` works in both modes.
+ */
+function createMatcher(pattern, args) {
+    const flags = (args.flags || '').replace(/[gy]/g, '');
+    const caseFlag = args.caseInsensitive && !flags.includes('i') ? 'i' : '';
+    if (args.matchMode !== 'regex') {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), `g${caseFlag}`);
+    }
+    try {
+        return new RegExp(pattern, `${flags}${caseFlag}g`);
+    } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+}
+
+/** Expand `$1`, `$<name>`, `$&`, `` $` ``, `$'` and `$$` in a regex-mode replacement, as String.prototype.replace does. */
+function expandReplacement(template, match, content) {
+    return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, code, name) => {
+        if (code === '$') {
+            return '$';
+        }
+        if (code === '&') {
+            return match[0];
+        }
+        if (code === '`') {
+            return content.slice(0, match.index);
+        }
+        if (code === '\'') {
+            return content.slice(match.index + match[0].length);
+        }
+        if (name !== undefined) {
+            return match.groups ? match.groups[name] || '' : token;
+        }
+        if (Number(code) >= 1 && Number(code) < match.length) {
+            return match[Number(code)] || '';
+        }
+        if (code.length === 2 && Number(code[0]) >= 1 && Number(code[0]) < match.length) {
+            return (match[Number(code[0])] || '') + code[1];
+        }
+        return token;
+    });
+}
+
+/**
+ * Replace `matches` (from createMatcher) in `content`, honouring `occurrence` (only the nth
+ * match) and `expectedCount` (fail unless exactly that many were found). Returns the new
+ * content, the number of replacements and the 1-based line each replaced match starts on.
+ */
+function replaceMatches(content, matches, replacement, args) {
+    if (args.expectedCount !== undefined && matches.length !== args.expectedCount) {
+        throw new Error(`Expected ${args.expectedCount} match(es) but found ${matches.length}.`);
+    }
+    let selected = matches;
+    if (args.occurrence !== undefined) {
+        if (args.occurrence > matches.length) {
+            throw new Error(`Occurrence ${args.occurrence} was requested but only ${matches.length} match(es) were found.`);
+        }
+        selected = [matches[args.occurrence - 1]];
+    }
+    let result = '';
+    let position = 0;
+    let line = 1;
+    const lines = [];
+    for (const match of selected) {
+        for (let i = position; i < match.index; i++) {
+            if (content[i] === '\n') {
+                line++;
+            }
+        }
+        lines.push(line);
+        result += content.slice(position, match.index);
+        result += args.matchMode === 'regex' ? expandReplacement(replacement, match, content) : replacement;
+        position = match.index + match[0].length;
+        for (let i = match.index; i < position; i++) {
+            if (content[i] === '\n') {
+                line++;
+            }
+        }
+    }
+    result += content.slice(position);
+    return { content: result, replacements: selected.length, lines };
+}
+
+/**
+ * Find every match of `pattern` in `content`. Literal text that isn't found as given is looked
+ * for again with its line breaks converted to the file's own, so "\n" finds "\r\n" lines.
+ */
+function findMatches(content, pattern, args) {
+    const matches = [...content.matchAll(createMatcher(pattern, args))];
+    const eol = detectLineEnding(content);
+    if (matches.length === 0 && args.matchMode !== 'regex' && eol) {
+        const converted = pattern.replace(/\r?\n/g, eol);
+        if (converted !== pattern) {
+            return [...content.matchAll(createMatcher(converted, args))];
+        }
+    }
+    return matches;
+}
+
+/**
+ * Apply one { oldContent, newContent } edit with editFile's rules: oldContent must occur exactly
+ * once unless `occurrence` or `expectedCount` says which matches to replace.
+ */
+function applyTextEdit(content, edit) {
+    const matches = findMatches(content, edit.oldContent, edit);
+    if (matches.length === 0) {
+        throw new Error('The oldContent was not found.');
+    }
+    if (matches.length > 1 && edit.occurrence === undefined && edit.expectedCount === undefined) {
+        throw new Error(`The oldContent is not unique in the file. Found ${matches.length} occurrences. Pass occurrence or expectedCount to choose which to replace.`);
+    }
+    return replaceMatches(content, matches, matchLineEndings(edit.newContent, content), edit);
+}
+
+/** The line ending used by most lines of `content`, or null if it has none. */
+function detectLineEnding(content) {
+    const crlf = (content.match(/\r\n/g) || []).length;
+    const lf = (content.match(/\n/g) || []).length - crlf;
+    if (crlf === 0 && lf === 0) {
+        return null;
+    }
+    return crlf > lf ? '\r\n' : '\n';
+}
+
+/** Give `text` the dominant line ending of `content`, the file it is going into, if that has any. */
+function matchLineEndings(text, content) {
+    const eol = detectLineEnding(content);
+    return eol ? text.replace(/\r?\n/g, eol) : text;
+}
+
+/** Offsets at which each line of `content` starts, and how many lines it has. */
+function getLineOffsets(content) {
+    const starts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+        starts.push(i + 1);
+    }
+    return { starts, lineCount: content === '' || content.endsWith('\n') ? starts.length - 1 : starts.length };
+}
+
+/**
+ * Replace `deleteCount` lines starting at `startLine` (1-based; one past the last line to
+ * append) with `text`. The new text takes the file's dominant line ending and gets a line break
+ * of its own unless it ends a file that had none; lines outside the range are left untouched.
+ */
+function spliceLines(content, startLine, deleteCount, text) {
+    const eol = detectLineEnding(content) || detectLineEnding(text) || '\n';
+    const { starts, lineCount } = getLineOffsets(content);
+    const start = startLine <= lineCount ? starts[startLine - 1] : content.length;
+    const end = startLine + deleteCount <= lineCount ? starts[startLine + deleteCount - 1] : content.length;
+    let insert = text.replace(/\r?\n/g, eol);
+    if (insert !== '') {
+        if (start === content.length && content !== '' && !content.endsWith('\n')) {
+            insert = eol + insert;
+        } else if (!insert.endsWith('\n') && (end < content.length || content.endsWith('\n'))) {
+            insert += eol;
+        }
+    }
+    return content.slice(0, start) + insert + content.slice(end);
+}
+
+/** Replace lines startLine..endLine (1-based, inclusive) with `newContent`. */
+function replaceLineRange(content, startLine, endLine, newContent) {
+    const { lineCount } = getLineOffsets(content);
+    if (startLine > endLine || endLine > lineCount) {
+        throw new Error(`Lines ${startLine}-${endLine} are not in the file, which has ${lineCount} line(s).`);
+    }
+    return spliceLines(content, startLine, endLine - startLine + 1, newContent);
+}
+
+// --- Diffs and Patches ---
+
+function patchFileName(name, prefix) {
+    if (name === undefined || name === '/dev/null') {
+        return name === undefined ? undefined : null;
+    }
+    return prefix && name.startsWith(prefix) ? name.slice(prefix.length) : name;
+}
+
+/**
+ * Split a unified diff into per-file changes: { action, path, from, hunks }, where action is
+ * create, delete, rename or modify. Understands plain `---`/`+++` headers with /dev/null as
+ * well as git's `diff --git`, `new file mode`, `deleted file mode` and `rename from/to` lines.
+ */
+function parsePatchFiles(patch) {
+    if (/^GIT binary patch$/m.test(patch)) {
+        throw new Error('Binary patches are not supported.');
+    }
+    const files = [];
+    for (const section of patch.replace(/\r\n/g, '\n').split(/^(?=diff --git )/m)) {
+        const headerEnd = section.search(/^(--- |@@ )/m);
+        const header = headerEnd === -1 ? section : section.slice(0, headerEnd);
+        const gitNames = /^diff --git a\/(.+) b\/(.+)$/m.exec(header);
+        const renameFrom = /^rename from (.+)$/m.exec(header);
+        const renameTo = /^rename to (.+)$/m.exec(header);
+        let indexes = Diff.parsePatch(section).filter((index) => index.oldFileName || index.newFileName || index.hunks.length);
+        if (!indexes.length && gitNames) {
+            // A git header with no hunks: a pure rename, mode change or empty file.
+            indexes = [{ hunks: [] }];
+        }
+        for (const index of indexes) {
+            const prefixed = gitNames || ((index.oldFileName === '/dev/null' || /^a\//.test(index.oldFileName))
+                && (index.newFileName === '/dev/null' || /^b\//.test(index.newFileName)));
+            let oldPath = patchFileName(index.oldFileName, prefixed && 'a/');
+            let newPath = patchFileName(index.newFileName, prefixed && 'b/');
+            if (gitNames && oldPath === undefined && newPath === undefined) {
+                oldPath = /^new file mode /m.test(header) ? null : gitNames[1];
+                newPath = /^deleted file mode /m.test(header) ? null : gitNames[2];
+            }
+            if (renameFrom && renameTo) {
+                oldPath = renameFrom[1];
+                newPath = renameTo[1];
+            }
+            if (!oldPath && !newPath) {
+                throw new Error('Every file in the patch needs ---/+++ or diff --git headers naming it.');
+            }
+            if (oldPath === null || oldPath === undefined) {
+                files.push({ action: 'create', path: newPath, hunks: index.hunks });
+            } else if (newPath === null || newPath === undefined) {
+                files.push({ action: 'delete', path: oldPath, hunks: index.hunks });
+            } else if (oldPath !== newPath) {
+                files.push({ action: 'rename', path: newPath, from: oldPath, hunks: index.hunks });
+            } else {
+                files.push({ action: 'modify', path: newPath, hunks: index.hunks });
+            }
+        }
+    }
+    return files;
+}
+
+/** Find `pattern` in `lines`, trying positions nearest `expected` first and never before `minIndex`. */
+function findLines(lines, pattern, expected, minIndex) {
+    const last = lines.length - pattern.length;
+    for (let distance = 0; distance <= lines.length; distance++) {
+        for (const at of distance ? [expected + distance, expected - distance] : [expected]) {
+            if (at >= minIndex && at <= last && pattern.every((line, i) => lines[at + i] === line)) {
+                return at;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Apply parsed hunks to `content` in order. A hunk may apply at an offset from the line it names,
+ * and with `fuzz` > 0 up to that many context lines at each end may be ignored, as with patch(1).
+ * Returns the new content and, per hunk, whether it applied, where, and with what offset and fuzz.
+ */
+function applyHunks(content, hunks, fuzz) {
+    const eol = detectLineEnding(content) || '\n';
+    const lines = content === '' ? [] : content.split(/\r?\n/);
+    let trailingEol = content === '' || content.endsWith('\n');
+    if (content !== '' && trailingEol) {
+        lines.pop();
+    }
+    const results = [];
+    let offset = 0;
+    let minIndex = 0;
+    hunks.forEach((hunk, index) => {
+        const changes = hunk.lines.filter((line) => !line.startsWith('\\'));
+        const before = changes.filter((line) => line[0] !== '+').map((line) => line.slice(1));
+        const after = changes.filter((line) => line[0] !== '-').map((line) => line.slice(1));
+        const leading = changes.findIndex((line) => line[0] !== ' ');
+        const trailing = changes.slice().reverse().findIndex((line) => line[0] !== ' ');
+        const expected = Math.max(hunk.oldStart - 1, 0) + offset;
+        let found;
+        for (let level = 0; level <= fuzz && !found; level++) {
+            const head = Math.min(level, leading === -1 ? 0 : leading);
+            const tail = Math.min(level, trailing === -1 ? 0 : trailing);
+            const at = findLines(lines, before.slice(head, before.length - tail), expected + head, minIndex);
+            if (at !== -1) {
+                found = { at, head, tail, level };
+            }
+        }
+        if (!found) {
+            results.push({ hunk: index + 1, oldStart: hunk.oldStart, status: 'failed' });
+            return;
+        }
+        const replacement = after.slice(found.head, after.length - found.tail);
+        lines.splice(found.at, before.length - found.head - found.tail, ...replacement);
+        const start = found.at - found.head;
+        results.push({ hunk: index + 1, oldStart: hunk.oldStart, status: 'applied', line: start + 1, offset: start - expected, fuzz: found.level });
+        offset = start - Math.max(hunk.oldStart - 1, 0) + after.length - before.length;
+        minIndex = found.at + replacement.length;
+        hunk.lines.forEach((line, i) => {
+            // "\ No newline at end of file" applies to the line before it.
+            if (line.startsWith('\\') && i > 0) {
+                trailingEol = hunk.lines[i - 1][0] === '-';
+            }
+        });
+    });
+    return { content: lines.length ? lines.join(eol) + (trailingEol ? eol : '') : '', results };
+}
+
+/**
+ * Render a line diff (from Diff.diffLines) as two columns, like `diff -y`: changed lines are
+ * marked "|", removed "<" and added ">". Unchanged runs longer than 2 * context lines are
+ * collapsed to "...".
+ */
+function formatSideBySide(parts, context) {
+    const rows = [];
+    let oldLine = 1;
+    let newLine = 1;
+    const splitLines = (value) => value.replace(/\r?\n$/, '').split(/\r?\n/);
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (!part.added && !part.removed) {
+            for (const line of splitLines(part.value)) {
+                rows.push({ marker: ' ', oldLine: oldLine++, left: line, newLine: newLine++, right: line });
+            }
+            continue;
+        }
+        const removed = part.removed ? splitLines(part.value) : [];
+        const next = parts[i + 1];
+        const added = part.added ? splitLines(part.value) : next && next.added ? splitLines(parts[++i].value) : [];
+        for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+            const row = { marker: j >= added.length ? '<' : j >= removed.length ? '>' : '|' };
+            if (j < removed.length) {
+                Object.assign(row, { oldLine: oldLine++, left: removed[j] });
+            }
+            if (j < added.length) {
+                Object.assign(row, { newLine: newLine++, right: added[j] });
+            }
+            rows.push(row);
+        }
+    }
+    const visible = rows.map(() => false);
+    rows.forEach((row, index) => {
+        if (row.marker !== ' ') {
+            for (let k = Math.max(0, index - context); k <= Math.min(rows.length - 1, index + context); k++) {
+                visible[k] = true;
+            }
+        }
+    });
+    const width = Math.min(Math.max(0, ...rows.map((row) => (row.left || '').length)), 80);
+    const numberWidth = String(Math.max(oldLine, newLine)).length;
+    const output = [];
+    rows.forEach((row, index) => {
+        if (!visible[index]) {
+            if (output[output.length - 1] !== '...') {
+                output.push('...');
+            }
+            return;
+        }
+        const left = `${row.oldLine === undefined ? ''.padStart(numberWidth) : String(row.oldLine).padStart(numberWidth)} ${(row.left || '').padEnd(width)}`;
+        const right = row.newLine === undefined ? '' : `${String(row.newLine).padStart(numberWidth)} ${row.right}`;
+        output.push(`${left} ${row.marker} ${right}`.trimEnd());
+    });
+    return output.join('\n');
+}
+
+// --- Reading Files ---
+
+const BINARY_SAMPLE_BYTES = 8000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+async function readBytes(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/** Treat a file as binary if its first bytes contain a NUL or are not valid UTF-8. */
+function isBinaryContent(sample) {
+    if (sample.includes(0)) {
+        return true;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return false;
+    } catch {
+        return true;
+    }
+}
+
+/** Drop an incomplete UTF-8 sequence from the end of a buffer cut at an arbitrary byte. */
+function trimPartialCharacter(buffer) {
+    for (let i = buffer.length - 1; i >= Math.max(0, buffer.length - 4); i--) {
+        if ((buffer[i] & 0xc0) === 0x80) {
+            continue;
+        }
+        const length = buffer[i] >= 0xf0 ? 4 : buffer[i] >= 0xe0 ? 3 : buffer[i] >= 0xc0 ? 2 : 1;
+        return i + length > buffer.length ? buffer.subarray(0, i) : buffer;
+    }
+    return buffer;
+}
+
+function countLines(buffer) {
+    let count = 0;
+    for (let index = buffer.indexOf(10); index !== -1; index = buffer.indexOf(10, index + 1)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Cursors let a truncated read continue where it stopped. They carry the byte offset (and line
+ * number for line reads) plus the file's mtime and size, so a cursor for a file that has since
+ * changed is refused rather than returning misaligned content.
+ */
+function encodeReadCursor(stats, offset, line) {
+    return Buffer.from(JSON.stringify({ offset, line, mtimeMs: stats.mtimeMs, size: stats.size })).toString('base64url');
+}
+
+function decodeReadCursor(cursor, stats) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Invalid cursor.');
+    }
+    if (!Number.isInteger(decoded.offset) || decoded.offset < 0) {
+        throw new Error('Invalid cursor.');
+    }
+    if (decoded.mtimeMs !== stats.mtimeMs || decoded.size !== stats.size) {
+        throw new Error('The file has changed since the cursor was issued. Read it again from the start.');
+    }
+    return decoded;
+}
+
+/**
+ * Read whole lines from `startLine` (1-based), scanning from a known `position` whose line number
+ * is `firstLine`. Stops after `lineCount` lines or `limit` bytes, so a range near the start of a
+ * huge file stays cheap. `totalLines` is only reported when the scan reached the end of the file,
+ * which `countTotal` forces.
+ */
+async function readLineRange(handle, stats, { position, firstLine, startLine, lineCount, limit, countTotal }) {
+    const chunks = [];
+    let collected = 0;
+    let line = firstLine;
+    let newlines = firstLine - 1;
+    let start = null;
+    let end = null;
+    let truncated = false;
+    let lastByte;
+    let offset = position;
+    while (offset < stats.size && (end === null || countTotal)) {
+        const buffer = await readBytes(handle, offset, Math.min(READ_CHUNK_BYTES, stats.size - offset));
+        if (!buffer.length) {
+            break;
+        }
+        let index = 0;
+        while (index < buffer.length && (end === null || countTotal)) {
+            const newline = buffer.indexOf(10, index);
+            const lineEnd = newline === -1 ? buffer.length : newline + 1;
+            if (start === null && line >= startLine) {
+                start = offset + index;
+            }
+            if (start !== null && end === null) {
+                let piece = buffer.subarray(index, lineEnd);
+                if (collected + piece.length > limit) {
+                    piece = piece.subarray(0, limit - collected);
+                    truncated = true;
+                    end = offset + index + piece.length;
+                }
+                chunks.push(piece);
+                collected += piece.length;
+                if (end === null && newline !== -1 && line - startLine + 1 >= lineCount) {
+                    end = offset + lineEnd;
+                }
+            }
+            if (newline !== -1) {
+                newlines++;
+                line++;
+            }
+            index = lineEnd;
+        }
+        lastByte = buffer[index - 1];
+        offset += index;
+    }
+    const totalLines = offset >= stats.size ? newlines + (stats.size > 0 && lastByte !== 10 ? 1 : 0) : undefined;
+    if (start === null && startLine > Math.max(totalLines, 1)) {
+        throw new Error(`startLine ${startLine} is past the end of the file, which has ${totalLines} line(s).`);
+    }
+    let content = Buffer.concat(chunks);
+    if (truncated) {
+        content = trimPartialCharacter(content);
+    }
+    start = start === null ? stats.size : start;
+    end = start + content.length;
+    const result = {
+        content: content.toString('utf8'),
+        encoding: 'utf8',
+        totalBytes: stats.size,
+        ...(totalLines === undefined ? {} : { totalLines }),
+        startLine,
+        endLine: Math.max(startLine, startLine + countLines(content) - (content.length && content[content.length - 1] === 10 ? 1 : 0)),
+        truncated,
+    };
+    if (end < stats.size) {
+        result.nextCursor = encodeReadCursor(stats, end, startLine + countLines(content));
+    }
+    return result;
+}
+
+/** Read up to `length` bytes from `position`, as UTF-8 text or, for binary files, base64. */
+async function readByteRange(handle, stats, { position, length, limit, binary }) {
+    const wanted = Math.max(0, Math.min(length, stats.size - position));
+    let content = await readBytes(handle, position, Math.min(wanted, limit));
+    const truncated = content.length < wanted;
+    if (!binary && position + content.length < stats.size) {
+        content = trimPartialCharacter(content);
+    }
+    const end = position + content.length;
+    const result = {
+        content: content.toString(binary ? 'base64' : 'utf8'),
+        encoding: binary ? 'base64' : 'utf8',
+        totalBytes: stats.size,
+        byteOffset: position,
+        bytesRead: content.length,
+        truncated,
+    };
+    if (position === 0 && end === stats.size) {
+        result.hash = hashContent(content);
+        if (!binary) {
+            result.totalLines = countLines(content) + (content.length && content[content.length - 1] !== 10 ? 1 : 0);
+        }
+    }
+    if (end < stats.size) {
+        result.nextCursor = encodeReadCursor(stats, end);
+    }
+    return result;
+}
+
+/**
+ * readLineRange for text that had to be decoded in memory (UTF-16 or Latin-1). The result has
+ * the same shape, but cursor offsets count characters of the decoded text rather than bytes.
+ */
+function readDecodedLines(text, stats, { position, firstLine, startLine, lineCount, limit }) {
+    const lines = text.slice(position).match(/[^\n]*\n|[^\n]+$/g) || [];
+    const totalLines = firstLine - 1 + lines.length;
+    if (startLine > Math.max(totalLines, 1)) {
+        throw new Error(`startLine ${startLine} is past the end of the file, which has ${totalLines} line(s).`);
+    }
+    let index = startLine - firstLine;
+    let offset = position + lines.slice(0, index).join('').length;
+    let content = '';
+    let collected = 0;
+    let truncated = false;
+    for (; index < lines.length && index - (startLine - firstLine) < lineCount; index++) {
+        const size = Buffer.byteLength(lines[index]);
+        if (collected + size > limit) {
+            const piece = trimPartialCharacter(Buffer.from(lines[index]).subarray(0, limit - collected)).toString('utf8');
+            content += piece;
+            offset += piece.length;
+            truncated = true;
+            break;
+        }
+        content += lines[index];
+        collected += size;
+        offset += lines[index].length;
+    }
+    const newlines = (content.match(/\n/g) || []).length;
+    const result = {
+        content,
+        totalBytes: stats.size,
+        totalLines,
+        startLine,
+        endLine: Math.max(startLine, startLine + newlines - (content.endsWith('\n') ? 1 : 0)),
+        truncated,
+    };
+    if (offset < text.length) {
+        result.nextCursor = encodeReadCursor(stats, offset, startLine + newlines);
+    }
+    return result;
+}
+
+/** Read the first `count` lines, stopping after `limit` bytes. */
+async function readFirstLines(handle, size, count, limit) {
+    const chunks = [];
+    let length = 0;
+    let newlines = 0;
+    while (length < size && newlines < count && length < limit) {
+        const buffer = await readBytes(handle, length, Math.min(READ_CHUNK_BYTES, size - length));
+        if (!buffer.length) {
+            break;
+        }
+        chunks.push(buffer);
+        length += buffer.length;
+        newlines += countLines(buffer);
+    }
+    const data = Buffer.concat(chunks);
+    let index = -1;
+    for (let found = 0; found < count; found++) {
+        index = data.indexOf(10, index + 1);
+        if (index === -1) {
+            break;
+        }
+    }
+    const end = index === -1 ? data.length : index + 1;
+    const truncated = end > limit;
+    return { content: truncated ? trimPartialCharacter(data.subarray(0, limit)) : data.subarray(0, end), truncated };
+}
+
+/**
+ * Read the last `count` lines by reading backwards from the end of the file in chunks, so only
+ * the tail is ever loaded. Stops after `limit` bytes.
+ */
+async function readLastLines(handle, size, count, limit) {
+    let data = Buffer.alloc(0);
+    let position = size;
+    const trailingNewlines = () => (data.length && data[data.length - 1] === 10 ? 1 : 0);
+    while (position > 0 && data.length < limit && countLines(data) - trailingNewlines() < count) {
+        const length = Math.min(READ_CHUNK_BYTES, position);
+        position -= length;
+        data = Buffer.concat([await readBytes(handle, position, length), data]);
+    }
+    let index = data.length - trailingNewlines();
+    for (let found = 0; found < count && index !== -1; found++) {
+        index = index > 0 ? data.lastIndexOf(10, index - 1) : -1;
+    }
+    let start = index === -1 ? 0 : index + 1;
+    let truncated = index === -1 && position > 0;
+    if (data.length - start > limit) {
+        start = data.length - limit;
+        truncated = true;
+    }
+    // Don't start in the middle of a multi-byte character.
+    while (start < data.length && (data[start] & 0xc0) === 0x80) {
+        start++;
+    }
+    return { content: data.subarray(start), truncated };
+}
+
+/** headFile and tailFile work on raw bytes, so they only accept UTF-8 text. */
+async function assertTextFile(handle, targetFile) {
+    const format = detectTextFormat(await readBytes(handle, 0, BINARY_SAMPLE_BYTES));
+    if (!format) {
+        throw new Error(`${targetFile} is a binary file. Use readFile with byteOffset and byteLength.`);
+    }
+    if (format.encoding !== 'utf8') {
+        throw new Error(`${targetFile} is ${format.encoding} text. Use readFile with startLine and lineCount instead.`);
+    }
+}
+
+const FOLLOW_POLL_MS = 200;
+
+/**
+ * Wait for lines appended to a file after `offset`, reporting each batch through
+ * `context.sendProgress` as it arrives. Stops when a line matches `until`, after `timeoutMs`,
+ * or when the request is cancelled. If the file shrinks (truncated or rotated), reading
+ * restarts from its beginning and any partial line read before is dropped.
+ */
+async function followFile(targetFile, offset, { until, timeoutMs, limit }, context) {
+    const deadline = Date.now() + timeoutMs;
+    let position = offset;
+    let pending = '';
+    let appended = '';
+    let appendedBytes = 0;
+    let lineCount = 0;
+    let truncated = false;
+    let decoder = new TextDecoder('utf-8');
+    while (true) {
+        if (context.signal && context.signal.aborted) {
+            return { appended, stoppedBy: 'cancelled', truncated, endOffset: position };
+        }
+        const stats = await fs.stat(targetFile);
+        if (stats.size < position) {
+            // A partial line or character from before the rewrite is not part of the new content.
+            position = 0;
+            pending = '';
+            decoder = new TextDecoder('utf-8');
+        }
+        if (stats.size > position) {
+            const handle = await fs.open(targetFile, 'r');
+            let chunk;
+            try {
+                chunk = await readBytes(handle, position, Math.min(stats.size - position, READ_CHUNK_BYTES));
+            } finally {
+                await handle.close();
+            }
+            position += chunk.length;
+            pending += decoder.decode(chunk, { stream: true });
+            const lastNewline = pending.lastIndexOf('\n');
+            if (lastNewline !== -1) {
+                const lines = pending.slice(0, lastNewline + 1);
+                pending = pending.slice(lastNewline + 1);
+                // Once a batch is dropped, later ones are too, so appended never has a gap.
+                const bytes = Buffer.byteLength(lines);
+                if (!truncated && appendedBytes + bytes <= limit) {
+                    appended += lines;
+                    appendedBytes += bytes;
+                } else {
+                    truncated = true;
+                }
+                lineCount += countLines(Buffer.from(lines));
+                if (context.sendProgress) {
+                    await context.sendProgress(lineCount, lines);
+                }
+                if (until) {
+                    const matchedLine = lines.split('\n').slice(0, -1).find((line) => {
+                        until.lastIndex = 0;
+                        return until.test(line);
+                    });
+                    if (matchedLine !== undefined) {
+                        return { appended, stoppedBy: 'pattern', matchedLine, truncated, endOffset: position };
+                    }
+                }
+            }
+            if (position < stats.size) {
+                continue;
+            }
+        }
+        if (Date.now() >= deadline) {
+            return { appended, stoppedBy: 'timeout', truncated, endOffset: position };
+        }
+        await new Promise((resolve) => setTimeout(resolve, Math.min(FOLLOW_POLL_MS, Math.max(0, deadline - Date.now()))));
+    }
+}
+
+// --- Text Encodings ---
+
+const TEXT_ENCODINGS = ['utf8', 'utf16le', 'utf16be', 'latin1'];
+const BYTE_ORDER_MARKS = {
+    utf8: Buffer.from([0xef, 0xbb, 0xbf]),
+    utf16le: Buffer.from([0xff, 0xfe]),
+    utf16be: Buffer.from([0xfe, 0xff]),
+};
+// Text that isn't UTF-8 has to be decoded in memory; larger files are only readable by bytes.
+const MAX_DECODED_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Work out how a file's text is encoded from its first bytes: by its byte order mark, as UTF-16
+ * if every other byte is NUL (as in mostly-ASCII UTF-16 without a BOM), or as UTF-8. Returns
+ * `{ encoding, bom }`, or null for binary data. An explicit `encoding` skips detection, though a
+ * matching BOM is still recognised.
+ */
+function detectTextFormat(sample, encoding) {
+    if (encoding !== undefined) {
+        const bom = BYTE_ORDER_MARKS[encoding];
+        return { encoding, bom: Boolean(bom) && sample.subarray(0, bom.length).equals(bom) };
+    }
+    for (const [name, bom] of Object.entries(BYTE_ORDER_MARKS)) {
+        if (sample.subarray(0, bom.length).equals(bom)) {
+            return { encoding: name, bom: true };
+        }
+    }
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs >= 2) {
+        let evenNuls = 0;
+        let oddNuls = 0;
+        for (let i = 0; i < pairs * 2; i += 2) {
+            evenNuls += sample[i] === 0 ? 1 : 0;
+            oddNuls += sample[i + 1] === 0 ? 1 : 0;
+        }
+        if (evenNuls === 0 && oddNuls >= pairs / 2) {
+            return { encoding: 'utf16le', bom: false };
+        }
+        if (oddNuls === 0 && evenNuls >= pairs / 2) {
+            return { encoding: 'utf16be', bom: false };
+        }
+    }
+    return isBinaryContent(sample) ? null : { encoding: 'utf8', bom: false };
+}
+
+function decodeText(buffer, { encoding, bom }) {
+    const body = bom ? buffer.subarray(BYTE_ORDER_MARKS[encoding].length) : buffer;
+    if (encoding === 'utf16be') {
+        return Buffer.from(body.subarray(0, body.length - (body.length % 2))).swap16().toString('utf16le');
+    }
+    return body.toString(encoding);
+}
+
+function encodeText(text, { encoding, bom }) {
+    const body = encoding === 'utf16be' ? Buffer.from(text, 'utf16le').swap16() : Buffer.from(text, encoding);
+    return bom && BYTE_ORDER_MARKS[encoding] ? Buffer.concat([BYTE_ORDER_MARKS[encoding], body]) : body;
+}
+
+/** The format for a new file: `encoding` (default UTF-8) with a BOM if asked for, or always for UTF-16. */
+function newTextFormat(args) {
+    const encoding = args.encoding || 'utf8';
+    return { encoding, bom: args.bom === undefined ? encoding.startsWith('utf16') : args.bom && encoding !== 'latin1' };
+}
+
+/** Line endings of `text` as reported to clients: "lf", "crlf", "mixed" or "none". */
+function describeLineEndings(text) {
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    if (crlf && lf) {
+        return 'mixed';
+    }
+    return crlf ? 'crlf' : lf ? 'lf' : 'none';
+}
+
+/**
+ * Read a whole file for editing: its decoded text and the `format` to write it back in. Binary
+ * files are refused rather than decoded, since writing them back would corrupt them.
+ */
+async function readTextFile(targetFile, encoding) {
+    const buffer = await fs.readFile(targetFile);
+    const format = detectTextFormat(buffer.subarray(0, BINARY_SAMPLE_BYTES), encoding);
+    if (!format) {
+        throw new Error(`${targetFile} is not a text file. If it is text in a legacy encoding, pass encoding: "latin1".`);
+    }
+    return { buffer, format, text: decodeText(buffer, format) };
+}
+
+/** The decoded text of a file for searching, or null if it is binary, too large or unreadable. */
+async function readSearchableText(targetFile) {
+    let handle;
+    try {
+        handle = await fs.open(targetFile, 'r');
+    } catch {
+        return null;
+    }
+    try {
+        const stats = await handle.stat();
+        const format = stats.size <= MAX_DECODED_BYTES && detectTextFormat(await readBytes(handle, 0, BINARY_SAMPLE_BYTES));
+        return format ? decodeText(await readBytes(handle, 0, stats.size), format) : null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/** Encode `text` in `format`, write it atomically and return the hash of the bytes written. */
+async function writeTextFile(targetFile, text, format) {
+    const data = encodeText(text, format);
+    await writeFileAtomic(targetFile, data);
+    return hashContent(data);
+}
+
+// --- Directory Walking ---
+
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+
+function toPosixPath(p) {
+    return p.split(path.sep).join('/');
+}
+
+function direntType(dirent) {
+    if (dirent.isSymbolicLink()) {
+        return 'symlink';
+    }
+    return dirent.isDirectory() ? 'directory' : dirent.isFile() ? 'file' : 'other';
+}
+
+/** Whether `relativePath` matches any of `globs`; globs without a slash match the name at any depth. */
+function matchesAnyGlob(relativePath, globs) {
+    return globs.some((glob) => minimatch(relativePath, glob, { dot: true, matchBase: true }));
+}
+
+/** The rules from a directory's .gitignore and .ignore files, as a layer for isIgnored. */
+async function loadIgnoreLayer(dir, dirents) {
+    const files = dirents.filter((dirent) => dirent.isFile() && IGNORE_FILES.includes(dirent.name));
+    if (!files.length) {
+        return [];
+    }
+    const rules = ignore();
+    for (const file of files) {
+        rules.add(await fs.readFile(path.join(dir, file.name), 'utf8'));
+    }
+    return [{ dir, rules }];
+}
+
+/** Apply ignore layers from the outermost directory in: a deeper file can re-include with "!". */
+function isIgnored(layers, absPath, isDirectory) {
+    let ignored = false;
+    for (const layer of layers) {
+        const result = layer.rules.test(toPosixPath(path.relative(layer.dir, absPath)) + (isDirectory ? '/' : ''));
+        if (result.ignored) {
+            ignored = true;
+        } else if (result.unignored) {
+            ignored = false;
+        }
+    }
+    return ignored;
+}
+
+function isReadAllowed(absPath, root) {
+    try {
+        checkPathPolicy([toPolicyForm(absPath, root.path)], 'read', false);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Walk everything below `startDir` breadth-first, each directory in name order, yielding
+ * `{ path, relativePath, name, type, depth }` (relativePath uses "/"; depth 1 is a direct child).
+ * Hidden entries are skipped unless `showHidden`, as are entries matched by `exclude` globs,
+ * entries the read policy denies and, unless `gitignore` is false, entries ignored by
+ * .gitignore/.ignore files (and .git itself). Symbolic links are yielded but not followed, and
+ * unreadable directories are skipped. Set `skipChildren` on a yielded directory to not descend.
+ */
+async function* walkDirectory(startDir, { maxDepth = Infinity, showHidden = false, gitignore = true, exclude = [] } = {}) {
+    const root = getAllowedRoots().find((candidate) => isWithin(startDir, candidate.path));
+    const queue = [{ dir: startDir, depth: 1, layers: [] }];
+    while (queue.length) {
+        const { dir, depth, layers: parentLayers } = queue.shift();
+        let dirents;
+        try {
+            dirents = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            continue;
+        }
+        const layers = gitignore ? [...parentLayers, ...await loadIgnoreLayer(dir, dirents)] : parentLayers;
+        dirents.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        for (const dirent of dirents) {
+            const absPath = path.join(dir, dirent.name);
+            const relativePath = toPosixPath(path.relative(startDir, absPath));
+            const isDirectory = dirent.isDirectory();
+            if ((!showHidden && dirent.name.startsWith('.'))
+                || (gitignore && isDirectory && dirent.name === '.git')
+                || isIgnored(layers, absPath, isDirectory)
+                || matchesAnyGlob(relativePath, exclude)
+                || (root && !isReadAllowed(absPath, root))) {
+                continue;
+            }
+            const entry = { path: absPath, relativePath, name: dirent.name, type: direntType(dirent), depth };
+            yield entry;
+            if (isDirectory && depth < maxDepth && !entry.skipChildren) {
+                queue.push({ dir: absPath, depth: depth + 1, layers });
+            }
+        }
+    }
+}
+
+// --- Full-Text Index ---
+
+const INDEX_VERSION = 1;
+const INDEX_MAX_FILE_BYTES = 8 * 1024 * 1024;
+const WORD_CHARS = '\\p{L}\\p{N}_';
+
+const loadedIndexes = new Map();
+
+function getIndexDir() {
+    return path.join(getDataDir(), 'index');
+}
+
+/** Each indexed directory has one file, named after a hash of its path. */
+function getIndexFile(directory) {
+    return path.join(getIndexDir(), `${hashContent(directory).slice(0, 16)}.json`);
+}
+
+/** The lowercased words of `text`: runs of letters, digits and underscores. */
+function tokenize(text) {
+    return text.toLowerCase().match(new RegExp(`[${WORD_CHARS}]+`, 'gu')) || [];
+}
+
+/**
+ * Load an index file, or return null if there is none. The parsed index is cached until the
+ * file changes, with a map from relative path to `{ id, size, mtimeMs }` added.
+ */
+async function loadIndex(indexFile) {
+    let stats;
+    try {
+        stats = await fs.stat(indexFile);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            loadedIndexes.delete(indexFile);
+            return null;
+        }
+        throw error;
+    }
+    const cached = loadedIndexes.get(indexFile);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.index;
+    }
+    const index = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    if (index.version !== INDEX_VERSION) {
+        return null;
+    }
+    index.fileMap = new Map(index.files.map(([relativePath, size, mtimeMs], id) => [relativePath, { id, size, mtimeMs }]));
+    index.sizeBytes = stats.size;
+    loadedIndexes.set(indexFile, { mtimeMs: stats.mtimeMs, size: stats.size, index });
+    return index;
+}
+
+/** The index of `directory` or of the nearest indexed directory above it, if any. */
+async function findCoveringIndex(directory) {
+    for (let dir = directory; ; dir = path.dirname(dir)) {
+        const index = await loadIndex(getIndexFile(dir));
+        if (index) {
+            return index;
+        }
+        if (path.dirname(dir) === dir) {
+            return null;
+        }
+    }
+}
+
+function describeIndex(index) {
+    return {
+        directory: index.directory,
+        files: index.files.length,
+        words: Object.keys(index.postings).length,
+        builtAt: index.builtAt,
+        sizeBytes: index.sizeBytes,
+        options: index.options,
+    };
+}
+
+/**
+ * Index the text files below a directory: for every word, the files it occurs in. An existing
+ * index built with the same options is updated, re-reading only files whose size or
+ * modification time changed; otherwise the index is built from scratch.
+ */
+async function buildIndex(args) {
+    const targetDirectory = resolveUserPath(args.directoryPath || '', 'read');
+    if (!(await fs.stat(targetDirectory)).isDirectory()) {
+        throw new Error(`${targetDirectory} is not a directory.`);
+    }
+    const options = {
+        include: args.include || [],
+        exclude: args.exclude || [],
+        showHidden: Boolean(args.showHidden),
+        gitignore: args.gitignore !== false,
+    };
+    const indexFile = getIndexFile(targetDirectory);
+    const existing = await loadIndex(indexFile);
+    const previous = existing && !args.rebuild && JSON.stringify(existing.options) === JSON.stringify(options) ? existing : null;
+    const files = [];
+    const postings = new Map();
+    const kept = new Map();
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, skipped: 0 };
+    const addPosting = (word, id) => {
+        const ids = postings.get(word);
+        if (ids) {
+            ids.push(id);
+        } else {
+            postings.set(word, [id]);
+        }
+    };
+    for await (const entry of walkDirectory(targetDirectory, options)) {
+        if (entry.type !== 'file' || (options.include.length && !matchesAnyGlob(entry.relativePath, options.include))) {
+            continue;
+        }
+        let stats;
+        try {
+            stats = await fs.stat(entry.path);
+        } catch {
+            continue;
+        }
+        const old = previous && previous.fileMap.get(entry.relativePath);
+        if (old && old.size === stats.size && old.mtimeMs === stats.mtimeMs) {
+            kept.set(old.id, files.length);
+            files.push([entry.relativePath, stats.size, stats.mtimeMs]);
+            counts.unchanged++;
+            continue;
+        }
+        const text = stats.size <= INDEX_MAX_FILE_BYTES ? await readSearchableText(entry.path) : null;
+        if (text === null) {
+            counts.skipped++;
+            continue;
+        }
+        const id = files.length;
+        files.push([entry.relativePath, stats.size, stats.mtimeMs]);
+        for (const word of new Set(tokenize(text))) {
+            addPosting(word, id);
+        }
+        counts[old ? 'updated' : 'added']++;
+    }
+    if (previous) {
+        counts.removed = previous.files.length - kept.size - counts.updated;
+        for (const [word, ids] of Object.entries(previous.postings)) {
+            for (const id of ids) {
+                if (kept.has(id)) {
+                    addPosting(word, kept.get(id));
+                }
+            }
+        }
+    } else if (existing) {
+        counts.removed = existing.files.length;
+    }
+    const words = [...postings.keys()].sort();
+    const index = {
+        version: INDEX_VERSION,
+        directory: targetDirectory,
+        options,
+        builtAt: new Date().toISOString(),
+        files,
+        postings: Object.fromEntries(words.map((word) => [word, postings.get(word).sort((a, b) => a - b)])),
+    };
+    await fs.mkdir(getIndexDir(), { recursive: true });
+    await writeFileAtomic(indexFile, JSON.stringify(index));
+    return {
+        content: `Indexed ${files.length} files in ${targetDirectory}.`,
+        ...describeIndex(await loadIndex(indexFile)),
+        ...counts,
+    };
+}
+
+/**
+ * Report on the index of one directory, including how many files changed since it was built,
+ * or list every index of a directory inside the allowed roots that the policy lets us read.
+ */
+async function indexStatus(args) {
+    if (args.directoryPath === undefined) {
+        let names;
+        try {
+            names = await fs.readdir(getIndexDir());
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            names = [];
+        }
+        const indexes = [];
+        for (const name of names.filter((candidate) => candidate.endsWith('.json')).sort()) {
+            const index = await loadIndex(path.join(getIndexDir(), name));
+            if (!index) {
+                continue;
+            }
+            // List only indexes of directories the caller could ask about by path.
+            try {
+                resolveUserPath(index.directory, 'read');
+            } catch {
+                continue;
+            }
+            indexes.push(describeIndex(index));
+        }
+        return { indexes };
+    }
+    const targetDirectory = resolveUserPath(args.directoryPath, 'read');
+    const index = await loadIndex(getIndexFile(targetDirectory));
+    if (!index) {
+        throw new Error(`There is no index for ${targetDirectory}. Create one with buildIndex.`);
+    }
+    const seen = new Set();
+    let changed = 0;
+    let unindexed = 0;
+    for await (const entry of walkDirectory(targetDirectory, index.options)) {
+        if (entry.type !== 'file' || (index.options.include.length && !matchesAnyGlob(entry.relativePath, index.options.include))) {
+            continue;
+        }
+        const indexed = index.fileMap.get(entry.relativePath);
+        if (!indexed) {
+            unindexed++;
+            continue;
+        }
+        seen.add(entry.relativePath);
+        const stats = await fs.stat(entry.path).catch(() => null);
+        if (!stats || stats.size !== indexed.size || stats.mtimeMs !== indexed.mtimeMs) {
+            changed++;
+        }
+    }
+    const removed = index.files.length - seen.size;
+    return { indexes: [{ ...describeIndex(index), changed, unindexed, removed, upToDate: !changed && !removed }] };
+}
+
+async function dropIndex(args) {
+    const targetDirectory = resolveUserPath(args.directoryPath || '', 'read');
+    const indexFile = getIndexFile(targetDirectory);
+    try {
+        await fs.unlink(indexFile);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`There is no index for ${targetDirectory}.`);
+        }
+        throw error;
+    }
+    loadedIndexes.delete(indexFile);
+    return { content: `Dropped the index for ${targetDirectory}.` };
+}
+
+/**
+ * Parse a searchContent query into alternatives separated by OR, each a list of terms that must
+ * all occur in a file. A term is a word or a "quoted phrase", excluded when prefixed with "-" or
+ * NOT; a word ending in "*" matches any word starting with it. AND is implied between terms.
+ */
+function parseSearchQuery(query) {
+    const alternatives = [[]];
+    let negateNext = false;
+    for (const [, minus, phrase, word] of query.matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+        if (word === 'OR') {
+            alternatives.push([]);
+            continue;
+        }
+        if (word === 'AND' || word === 'NOT') {
+            negateNext = word === 'NOT';
+            continue;
+        }
+        let text = phrase === undefined ? word : phrase;
+        let negated = negateNext || minus === '-';
+        negateNext = false;
+        if (phrase === undefined && text.length > 1 && text.startsWith('-')) {
+            negated = true;
+            text = text.slice(1);
+        }
+        const prefix = phrase === undefined && text.endsWith('*');
+        const words = tokenize(text);
+        if (!words.length) {
+            continue;
+        }
+        const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const source = `(?<![${WORD_CHARS}])${escaped.join(`[^${WORD_CHARS}\\n]+`)}${prefix ? `[${WORD_CHARS}]*` : `(?![${WORD_CHARS}])`}`;
+        alternatives[alternatives.length - 1].push({ words, prefix, negated, regex: new RegExp(source, 'giu') });
+    }
+    const valid = alternatives.filter((terms) => terms.some((term) => !term.negated));
+    if (!valid.length) {
+        throw new Error('The query has nothing to look for. Give at least one word or phrase that is not excluded.');
+    }
+    return valid;
+}
+
+/** Whether a file's text satisfies one alternative of a parsed query. */
+function matchesQueryTerms(terms, text) {
+    return terms.every((term) => (text.search(term.regex) !== -1) !== term.negated);
+}
+
+/**
+ * The ids of the indexed files that can match a parsed query: those containing every word of
+ * some alternative's terms. Only the words are checked; phrases and exclusions are left to
+ * matchesQueryTerms.
+ */
+function findIndexCandidates(index, alternatives) {
+    const lookup = (word, prefix) => {
+        if (!prefix) {
+            return new Set(index.postings[word] || []);
+        }
+        const ids = new Set();
+        for (const key of Object.keys(index.postings)) {
+            if (key.startsWith(word)) {
+                index.postings[key].forEach((id) => ids.add(id));
+            }
+        }
+        return ids;
+    };
+    const candidates = new Set();
+    for (const terms of alternatives) {
+        let ids = null;
+        for (const term of terms.filter((candidate) => !candidate.negated)) {
+            term.words.forEach((word, i) => {
+                const found = lookup(word, term.prefix && i === term.words.length - 1);
+                ids = ids ? new Set([...ids].filter((id) => found.has(id))) : found;
+            });
+        }
+        ids.forEach((id) => candidates.add(id));
+    }
+    return candidates;
+}
+
+// --- Watching ---
+
+const DEFAULT_WATCH_DEBOUNCE_MS = 200;
+const DEFAULT_WATCH_POLL_MS = 2000;
+const MAX_WATCHES = 20;
+const MAX_WATCHED_ENTRIES = 50000;
+const DEFAULT_WAIT_TIMEOUT_MS = 30000;
+
+function describeWatchedEntry(stats) {
+    const type = stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : 'other';
+    return { type, size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino };
+}
+
+/** Whether a path reported by fs.watch is one the watch covers, by the same rules as its scans. */
+function isWatchable(watch, relativePath) {
+    if (watch.fileName) {
+        return relativePath === watch.fileName;
+    }
+    const parts = relativePath.split('/');
+    if (!watch.recursive && parts.length > 1) {
+        return false;
+    }
+    const root = getAllowedRoots().find((candidate) => isWithin(watch.dir, candidate.path));
+    return parts.every((part, i) => {
+        const prefix = parts.slice(0, i + 1).join('/');
+        return (watch.showHidden || !part.startsWith('.')) && !matchesAnyGlob(prefix, watch.exclude);
+    }) && (!root || isReadAllowed(path.join(watch.dir, relativePath), root));
+}
+
+/** Add the entries below `relativeDir` (the whole watch for '') to a snapshot. */
+async function scanWatchedDirectory(watch, relativeDir, entries) {
+    // Below the top, isWatchable applies exclude to paths relative to the watched directory.
+    const options = { maxDepth: watch.recursive ? Infinity : 1, showHidden: watch.showHidden, gitignore: false, exclude: relativeDir ? [] : watch.exclude };
+    for await (const entry of walkDirectory(path.join(watch.dir, relativeDir), options)) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.relativePath}` : entry.relativePath;
+        if (relativeDir && !isWatchable(watch, relativePath)) {
+            continue;
+        }
+        const stats = await fs.lstat(entry.path).catch(() => null);
+        if (stats) {
+            entries.set(relativePath, describeWatchedEntry(stats));
+        }
+        if (entries.size > MAX_WATCHED_ENTRIES) {
+            throw new Error(`There are more than ${MAX_WATCHED_ENTRIES} entries to watch below ${watch.path}. Watch a subdirectory or narrow it with exclude.`);
+        }
+    }
+}
+
+/**
+ * Snapshot what a watch covers as a map from relative path to `{ type, size, mtimeMs, ino }`:
+ * the whole tree, or with `changedPaths` only those paths (and, for directories, their
+ * contents) re-read on top of the previous snapshot.
+ */
+async function snapshotWatch(watch, changedPaths) {
+    const entries = changedPaths ? new Map(watch.entries) : new Map();
+    const paths = changedPaths || [watch.fileName || ''];
+    for (const relativePath of paths) {
+        if (relativePath === '') {
+            await scanWatchedDirectory(watch, '', entries);
+            continue;
+        }
+        const old = entries.get(relativePath);
+        entries.delete(relativePath);
+        if (old && old.type === 'directory') {
+            for (const key of [...entries.keys()].filter((candidate) => candidate.startsWith(`${relativePath}/`))) {
+                entries.delete(key);
+            }
+        }
+        if (!isWatchable(watch, relativePath)) {
+            continue;
+        }
+        const stats = await fs.lstat(path.join(watch.dir, relativePath)).catch(() => null);
+        if (stats) {
+            entries.set(relativePath, describeWatchedEntry(stats));
+            if (stats.isDirectory() && watch.recursive) {
+                await scanWatchedDirectory(watch, relativePath, entries);
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Compare two snapshots into create, modify, delete and rename events, in path order. A delete
+ * and a create of the same inode are a rename; renames of entries inside a renamed directory are
+ * implied by it and left out.
+ */
+function diffWatchSnapshots(watch, before, after) {
+    const created = [];
+    const deleted = [];
+    const events = [];
+    const toEvent = (type, relativePath, state, extra = {}) => ({ type, path: path.join(watch.dir, relativePath), entryType: state.type, ...extra });
+    for (const [relativePath, state] of after) {
+        const old = before.get(relativePath);
+        if (!old || old.type !== state.type) {
+            created.push(relativePath);
+            if (old) {
+                deleted.push(relativePath);
+            }
+        } else if (state.type !== 'directory' && (old.size !== state.size || old.mtimeMs !== state.mtimeMs || old.ino !== state.ino)) {
+            events.push(toEvent('modify', relativePath, state));
+        }
+    }
+    deleted.push(...[...before.keys()].filter((relativePath) => !after.has(relativePath)));
+    const createdByInode = new Map(created.map((relativePath) => [after.get(relativePath).ino, relativePath]));
+    const renamedDirs = [];
+    for (const relativePath of deleted.sort()) {
+        const old = before.get(relativePath);
+        const target = old.ino ? createdByInode.get(old.ino) : undefined;
+        if (target === undefined || target === relativePath || after.get(target).type !== old.type) {
+            events.push(toEvent('delete', relativePath, old));
+            continue;
+        }
+        created.splice(created.indexOf(target), 1);
+        createdByInode.delete(old.ino);
+        if (!renamedDirs.some(([from, to]) => relativePath.startsWith(`${from}/`) && target.startsWith(`${to}/`))) {
+            events.push(toEvent('rename', target, old, { oldPath: path.join(watch.dir, relativePath) }));
+        }
+        if (old.type === 'directory') {
+            renamedDirs.push([relativePath, target]);
+        }
+    }
+    events.push(...created.map((relativePath) => toEvent('create', relativePath, after.get(relativePath))));
+    const relevant = watch.include.length
+        ? events.filter((event) => [event.path, event.oldPath].some((p) => p && matchesAnyGlob(toPosixPath(path.relative(watch.dir, p)), watch.include)))
+        : events;
+    return relevant.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Re-read the paths changed since the last flush (everything, if fs.watch did not say or the
+ * watch polls), and notify the client of the differences. Flushes run one at a time.
+ */
+function flushWatch(watch) {
+    const changedPaths = watch.rescanAll ? null : [...watch.pending];
+    clearTimeout(watch.timer);
+    watch.pending = new Set();
+    watch.rescanAll = false;
+    watch.pendingSince = null;
+    watch.flushing = watch.flushing.then(async () => {
+        if (watch.closed) {
+            return;
+        }
+        const entries = await snapshotWatch(watch, changedPaths);
+        const events = diffWatchSnapshots(watch, watch.entries, entries);
+        watch.entries = entries;
+        if (events.length && !watch.closed) {
+            await watch.notify(events);
+        }
+    }).catch((error) => {
+        console.error(`Watch ${watch.id} on ${watch.path} failed: ${error.message}`);
+    });
+    return watch.flushing;
+}
+
+/**
+ * Collect a path reported by fs.watch (null for "something changed") and flush once no more
+ * arrive for `debounceMs`, or at the latest ten debounce periods after the first.
+ */
+function queueWatchChange(watch, relativePath) {
+    if (relativePath === null) {
+        watch.rescanAll = true;
+    } else if (watch.fileName && relativePath !== watch.fileName) {
+        return;
+    } else {
+        watch.pending.add(relativePath);
+    }
+    if (watch.pendingSince === null) {
+        watch.pendingSince = Date.now();
+    }
+    clearTimeout(watch.timer);
+    const delay = Math.min(watch.debounceMs, watch.pendingSince + watch.debounceMs * 10 - Date.now());
+    watch.timer = setTimeout(() => flushWatch(watch), Math.max(0, delay));
+}
+
+function startWatchPolling(watch) {
+    watch.mode = 'poll';
+    watch.poller = setInterval(() => {
+        watch.rescanAll = true;
+        flushWatch(watch);
+    }, watch.pollIntervalMs);
+    watch.poller.unref();
+}
 
 /**
- * Securely resolve a user-supplied path relative to the home directory.
- * Throws if the path is outside the home directory or contains path traversal.
+ * Watch with fs.watch, recursively if asked. Platforms without recursive fs.watch, or a watcher
+ * that fails later (e.g. when the system runs out of inotify watches), fall back to polling.
  */
-function resolveUserPath(userPath) {
-    const homeDir = os.homedir();
-    if (typeof userPath !== 'string' || path.isAbsolute(userPath) || userPath.includes('..') || userPath.startsWith('\\\\')) {
-        throw new Error('Access is restricted to your user profile directory.');
+function startNativeWatch(watch) {
+    watch.watcher = fsSync.watch(watch.dir, { recursive: watch.recursive, persistent: false }, (eventType, filename) => {
+        queueWatchChange(watch, filename ? toPosixPath(filename.toString()) : null);
+    });
+    watch.watcher.on('error', (error) => {
+        console.error(`fs.watch on ${watch.dir} failed (${error.message}); polling instead.`);
+        watch.watcher.close();
+        watch.watcher = null;
+        if (!watch.closed) {
+            startWatchPolling(watch);
+        }
+    });
+    watch.mode = 'native';
+}
+
+function stopWatch(watch) {
+    watch.closed = true;
+    clearTimeout(watch.timer);
+    clearInterval(watch.poller);
+    if (watch.watcher) {
+        watch.watcher.close();
     }
-    const absPath = path.resolve(homeDir, userPath);
-    const normalizedHome = path.normalize(homeDir + path.sep);
-    const normalizedAbs = path.normalize(absPath + path.sep);
-    if (!normalizedAbs.startsWith(normalizedHome)) {
-        throw new Error('Access is restricted to your user profile directory.');
+}
+
+/** Stop every watch of a session, when it ends. */
+function stopWatches(watches) {
+    for (const watch of watches.values()) {
+        stopWatch(watch);
+    }
+    watches.clear();
+}
+
+/**
+ * Start watching a file or directory for the current session, sending batches of change events
+ * as `notifications/fs/changed`. Needs the `watches` and `notify` the MCP server passes in the
+ * tool context, so it is not available from the command line.
+ */
+async function watchPath(args, context = {}) {
+    if (!context.watches || !context.notify) {
+        throw new Error('watchPath needs an MCP session to send change notifications to. Run the server and call it over MCP.');
+    }
+    if (context.watches.size >= MAX_WATCHES) {
+        throw new Error(`A session can have at most ${MAX_WATCHES} watches. Stop one with unwatchPath first.`);
+    }
+    const target = resolveUserPath(args.path, 'read');
+    let stats;
+    try {
+        stats = await fs.stat(target);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Nothing to watch at ${target}. To wait for it to appear, watch its directory or use waitForFile.`);
+        }
+        throw error;
+    }
+    const isDirectory = stats.isDirectory();
+    const watch = {
+        id: crypto.randomBytes(6).toString('hex'),
+        path: target,
+        dir: isDirectory ? target : path.dirname(target),
+        fileName: isDirectory ? null : path.basename(target),
+        recursive: isDirectory && Boolean(args.recursive),
+        include: args.include || [],
+        exclude: args.exclude || [],
+        showHidden: Boolean(args.showHidden),
+        debounceMs: args.debounceMs === undefined ? DEFAULT_WATCH_DEBOUNCE_MS : args.debounceMs,
+        pollIntervalMs: args.pollIntervalMs || DEFAULT_WATCH_POLL_MS,
+        pending: new Set(),
+        rescanAll: false,
+        pendingSince: null,
+        flushing: Promise.resolve(),
+        closed: false,
+    };
+    watch.notify = (events) => context.notify('notifications/fs/changed', { watchId: watch.id, path: watch.path, events });
+    watch.entries = await snapshotWatch(watch, null);
+    if (args.mode === 'poll') {
+        startWatchPolling(watch);
+    } else {
+        try {
+            startNativeWatch(watch);
+        } catch {
+            startWatchPolling(watch);
+        }
+    }
+    context.watches.set(watch.id, watch);
+    return {
+        content: `Watching ${target} (${watch.mode === 'poll' ? 'polling' : 'fs.watch'}).`,
+        watchId: watch.id,
+        path: target,
+        mode: watch.mode,
+        entries: watch.entries.size,
+    };
+}
+
+async function unwatchPath(args, context = {}) {
+    const watch = context.watches && context.watches.get(args.watchId);
+    if (!watch) {
+        throw new Error(`No watch with id ${args.watchId} in this session.`);
+    }
+    stopWatch(watch);
+    context.watches.delete(watch.id);
+    return { content: `Stopped watching ${watch.path}.` };
+}
+
+/** The entry waitForFile is waiting for, if it exists yet: `path` itself or, with a pattern, the first match below it. */
+async function findWaitedEntry(target, args) {
+    if (args.pattern === undefined) {
+        const stats = await fs.stat(target).catch(() => null);
+        return stats && { path: target, stats };
+    }
+    const walk = walkDirectory(target, { maxDepth: args.recursive ? Infinity : 1, showHidden: true, gitignore: false });
+    for await (const entry of walk) {
+        if (entry.type !== 'directory' && matchesAnyGlob(entry.relativePath, [args.pattern])) {
+            const stats = await fs.stat(entry.path).catch(() => null);
+            if (stats) {
+                return { path: entry.path, stats };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Poll until a path exists, or a file matching `pattern` appears in a directory, and with
+ * `stableMs` until its size and modification time have stopped changing for that long (e.g. a
+ * download finishing). Gives up after `timeoutMs` or when the call is cancelled.
+ */
+async function waitForFile(args, context = {}) {
+    const target = resolveUserPath(args.path, 'read');
+    const startedAt = Date.now();
+    const deadline = startedAt + (args.timeoutMs === undefined ? DEFAULT_WAIT_TIMEOUT_MS : args.timeoutMs);
+    const stableMs = args.stableMs || 0;
+    let last = null;
+    while (true) {
+        if (context.signal && context.signal.aborted) {
+            return { found: false, stoppedBy: 'cancelled', waitedMs: Date.now() - startedAt };
+        }
+        const found = await findWaitedEntry(target, args);
+        if (found) {
+            const unchanged = last && last.path === found.path && last.stats.size === found.stats.size && last.stats.mtimeMs === found.stats.mtimeMs;
+            last = unchanged ? last : { ...found, since: Date.now() };
+            if (Date.now() - last.since >= stableMs) {
+                return {
+                    found: true,
+                    stoppedBy: 'found',
+                    path: found.path,
+                    type: found.stats.isDirectory() ? 'directory' : 'file',
+                    size: found.stats.size,
+                    modifiedAt: found.stats.mtime.toISOString(),
+                    waitedMs: Date.now() - startedAt,
+                };
+            }
+        } else {
+            last = null;
+        }
+        if (Date.now() >= deadline) {
+            return { found: false, stoppedBy: 'timeout', waitedMs: Date.now() - startedAt };
+        }
+        await new Promise((resolve) => setTimeout(resolve, Math.min(FOLLOW_POLL_MS, Math.max(0, deadline - Date.now()))));
     }
-    return absPath;
 }
 
 // --- File and Directory Operations ---
 
+const DEFAULT_LIST_LIMIT = 1000;
+
+/**
+ * Order entries by `sortBy` (name, size, mtime or, for searchFiles, path), then by name and
+ * relative path, reversed for descending order.
+ */
+function compareListEntries(a, b, sortBy, descending) {
+    const compareText = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+    let result = 0;
+    if (sortBy === 'size' || sortBy === 'mtime') {
+        result = a[sortBy] - b[sortBy];
+    }
+    if (result === 0 && sortBy !== 'path') {
+        result = compareText(a.name, b.name);
+    }
+    if (result === 0 && a.relativePath !== undefined) {
+        result = compareText(a.relativePath, b.relativePath);
+    }
+    return descending ? -result : result;
+}
+
+/**
+ * listFiles cursors hold the sort key of the last entry returned rather than a position, so
+ * entries created or deleted between pages do not shift the next page.
+ */
+function encodeListCursor(entry, sortBy, order) {
+    const { name, relativePath, size, mtime } = entry;
+    return Buffer.from(JSON.stringify({ sortBy, order, name, relativePath, size, mtime })).toString('base64url');
+}
+
+function decodeListCursor(cursor, sortBy, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Invalid cursor.');
+    }
+    if (!decoded || typeof decoded.name !== 'string') {
+        throw new Error('Invalid cursor.');
+    }
+    if (decoded.sortBy !== sortBy || decoded.order !== order) {
+        throw new Error('The cursor was issued for a different sort order. Pass the same sortBy and order as the first page.');
+    }
+    return decoded;
+}
+
+async function describeListEntry(directory, entry) {
+    try {
+        const stats = await fs.lstat(path.join(directory, entry.name));
+        return { ...entry, size: stats.size, mtime: stats.mtimeMs, modifiedAt: stats.mtime.toISOString(), mode: (stats.mode & 0o7777).toString(8) };
+    } catch {
+        // Deleted since the directory was read.
+        return null;
+    }
+}
+
 async function listFiles(args) {
-    const targetPath = args.directoryPath ? resolveUserPath(args.directoryPath) : os.homedir();
-    const files = await fs.readdir(targetPath);
-    return { files: files };
+    const targetPath = resolveUserPath(args.directoryPath || '', 'read');
+    const sortBy = args.sortBy || 'name';
+    const order = args.order || 'asc';
+    const limit = args.limit || DEFAULT_LIST_LIMIT;
+    let entries = (await fs.readdir(targetPath, { withFileTypes: true }))
+        .filter((dirent) => args.showHidden !== false || !dirent.name.startsWith('.'))
+        .filter((dirent) => !args.pattern || minimatch(dirent.name, args.pattern, { dot: true }))
+        .map((dirent) => ({ name: dirent.name, type: direntType(dirent) }));
+    // Sorting by name needs no stat calls, so only the page returned is described.
+    if (sortBy !== 'name') {
+        const described = [];
+        for (const entry of entries) {
+            described.push(await describeListEntry(targetPath, entry));
+        }
+        entries = described.filter(Boolean);
+    }
+    entries.sort((a, b) => compareListEntries(a, b, sortBy, order === 'desc'));
+    const total = entries.length;
+    if (args.cursor !== undefined) {
+        const after = decodeListCursor(args.cursor, sortBy, order);
+        entries = entries.filter((entry) => compareListEntries(entry, after, sortBy, order === 'desc') > 0);
+    }
+    let page = entries.slice(0, limit);
+    if (sortBy === 'name') {
+        const described = [];
+        for (const entry of page) {
+            described.push(await describeListEntry(targetPath, entry));
+        }
+        page = described.filter(Boolean);
+    }
+    const result = {
+        files: page.map((entry) => entry.name),
+        entries: page.map((entry) => ({ name: entry.name, type: entry.type, size: entry.size, modifiedAt: entry.modifiedAt, mode: entry.mode })),
+        total,
+    };
+    if (entries.length > limit) {
+        result.nextCursor = encodeListCursor(entries[limit - 1], sortBy, order);
+    }
+    return result;
+}
+
+const DEFAULT_TREE_ENTRIES = 500;
+
+function sortTreeNodes(nodes) {
+    return nodes.sort((a, b) => (a.type === 'directory') !== (b.type === 'directory')
+        ? (a.type === 'directory' ? -1 : 1)
+        : a.name.localeCompare(b.name));
+}
+
+function renderTree(node, indent, lines) {
+    for (const child of node.children) {
+        const detail = child.type === 'file' ? ` (${child.size} bytes)` : child.type === 'symlink' ? ' (symlink)' : '';
+        lines.push(`${indent}${child.name}${child.type === 'directory' ? '/' : ''}${detail}`);
+        if (child.children) {
+            renderTree(child, `${indent}  `, lines);
+        }
+    }
+    if (node.truncated) {
+        lines.push(`${indent}...`);
+    }
+}
+
+async function directoryTree(args) {
+    const targetDirectory = resolveUserPath(args.directoryPath || '', 'read');
+    if (!(await fs.stat(targetDirectory)).isDirectory()) {
+        throw new Error(`ENOTDIR: ${targetDirectory} is not a directory.`);
+    }
+    const maxEntries = args.maxEntries || DEFAULT_TREE_ENTRIES;
+    const include = args.include || [];
+    const tree = { name: path.basename(targetDirectory) || targetDirectory, type: 'directory', children: [] };
+    const nodes = new Map([['', tree]]);
+    // With include globs, a directory is only shown once something inside it matches.
+    const pending = new Map();
+    let entryCount = 0;
+    let truncated = false;
+    const walk = walkDirectory(targetDirectory, {
+        maxDepth: args.maxDepth,
+        showHidden: Boolean(args.showHidden),
+        gitignore: args.gitignore !== false,
+        exclude: args.exclude || [],
+    });
+    for await (const entry of walk) {
+        if (entry.type === 'directory' && include.length) {
+            pending.set(entry.relativePath, entry);
+            continue;
+        }
+        if (entry.type !== 'directory' && include.length && !matchesAnyGlob(entry.relativePath, include)) {
+            continue;
+        }
+        const missing = [entry];
+        for (let dir = path.posix.dirname(entry.relativePath); !nodes.has(dir === '.' ? '' : dir); dir = path.posix.dirname(dir)) {
+            missing.unshift(pending.get(dir));
+        }
+        const parentPath = path.posix.dirname(missing[0].relativePath);
+        if (entryCount + missing.length > maxEntries) {
+            nodes.get(parentPath === '.' ? '' : parentPath).truncated = true;
+            truncated = true;
+            break;
+        }
+        for (const item of missing) {
+            const node = { name: item.name, type: item.type };
+            try {
+                const stats = await fs.lstat(item.path);
+                if (item.type === 'file') {
+                    node.size = stats.size;
+                }
+                node.modifiedAt = stats.mtime.toISOString();
+            } catch {
+                // Deleted since it was listed; keep the name.
+            }
+            if (item.type === 'directory') {
+                node.children = [];
+                nodes.set(item.relativePath, node);
+            }
+            const parent = path.posix.dirname(item.relativePath);
+            nodes.get(parent === '.' ? '' : parent).children.push(node);
+            entryCount++;
+        }
+    }
+    for (const node of nodes.values()) {
+        sortTreeNodes(node.children);
+    }
+    const lines = [`${tree.name}/`];
+    renderTree(tree, '  ', lines);
+    if (truncated) {
+        lines.push(`(truncated after ${entryCount} entries; raise maxEntries or narrow the tree to see more)`);
+    }
+    if (args.format === 'text') {
+        return { content: lines.join('\n'), entryCount, truncated };
+    }
+    return { content: `Listed ${entryCount} entries under ${targetDirectory}${truncated ? ' (truncated)' : ''}.`, tree, entryCount, truncated };
 }
 
 async function readFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
-    const content = await fs.readFile(targetFile, 'utf8');
-    return { content: content };
+    const targetFile = resolveUserPath(args.filePath, 'read');
+    const limit = getMaxResponseBytes();
+    const handle = await fs.open(targetFile, 'r');
+    try {
+        const stats = await handle.stat();
+        if (stats.isDirectory()) {
+            throw new Error(`EISDIR: ${targetFile} is a directory.`);
+        }
+        const cursor = args.cursor === undefined ? undefined : decodeReadCursor(args.cursor, stats);
+        const format = detectTextFormat(await readBytes(handle, 0, BINARY_SAMPLE_BYTES), args.encoding);
+        if (!format && args.binary === 'error') {
+            throw new Error(`${targetFile} is a binary file. Pass binary: "base64" to read it as base64.`);
+        }
+        const lineMode = cursor ? cursor.line !== undefined : args.startLine !== undefined || args.lineCount !== undefined;
+        const byteMode = cursor ? cursor.line === undefined : args.byteOffset !== undefined || args.byteLength !== undefined;
+        let result;
+        if (lineMode && !format) {
+            throw new Error(`${targetFile} is a binary file, so it cannot be read by lines. Use byteOffset and byteLength.`);
+        } else if (format && format.encoding !== 'utf8' && !byteMode) {
+            // Byte offsets don't line up with characters here, so decode the file and read lines of it.
+            if (stats.size > MAX_DECODED_BYTES) {
+                throw new Error(`${targetFile} is ${format.encoding} text too large to decode. Use byteOffset and byteLength.`);
+            }
+            const buffer = await readBytes(handle, 0, stats.size);
+            result = readDecodedLines(decodeText(buffer, format), stats, {
+                position: cursor ? cursor.offset : 0,
+                firstLine: cursor ? cursor.line : 1,
+                startLine: cursor ? cursor.line : args.startLine || 1,
+                lineCount: args.lineCount === undefined ? Infinity : args.lineCount,
+                limit,
+            });
+            if (!lineMode && !result.nextCursor) {
+                result.hash = hashContent(buffer);
+            }
+        } else if (lineMode) {
+            result = await readLineRange(handle, stats, {
+                position: cursor ? cursor.offset : 0,
+                firstLine: cursor ? cursor.line : 1,
+                startLine: cursor ? cursor.line : args.startLine || 1,
+                lineCount: args.lineCount === undefined ? Infinity : args.lineCount,
+                limit,
+                countTotal: Boolean(args.countTotalLines),
+            });
+        } else {
+            const position = cursor ? cursor.offset : args.byteOffset || 0;
+            result = await readByteRange(handle, stats, {
+                position,
+                length: args.byteLength === undefined ? stats.size - position : args.byteLength,
+                limit,
+                binary: !format || format.encoding !== 'utf8',
+            });
+        }
+        if (result.encoding !== 'base64') {
+            if (format.bom && !cursor && !args.byteOffset && !(args.startLine > 1)) {
+                result.content = result.content.replace(/^\uFEFF/, '');
+            }
+            Object.assign(result, { encoding: format.encoding, bom: format.bom, eol: describeLineEndings(result.content) });
+        }
+        return result;
+    } finally {
+        await handle.close();
+    }
 }
 
 async function createFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'write');
     try {
-        await fs.writeFile(targetFile, args.content, { flag: 'wx' });
+        await fs.writeFile(targetFile, encodeText(args.content, newTextFormat(args)), { flag: 'wx' });
     } catch (err) {
         if (err.code === 'EEXIST') {
             throw new Error('File already exists');
@@ -57,75 +2696,260 @@ async function createFile(args) {
 }
 
 async function editFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
-    const content = await fs.readFile(targetFile, 'utf8');
-    const occurrences = (content.match(new RegExp(args.oldContent, 'g')) || []).length;
-    if (occurrences === 0) {
-        throw new Error(`The oldContent was not found. No changes made to file at: ${targetFile}`);
-    }
-    if (occurrences > 1) {
-        throw new Error(`The oldContent is not unique in the file. Found ${occurrences} occurrences.`);
+    const targetFile = resolveUserPath(args.filePath, 'write');
+    const { buffer, format, text } = await readTextFile(targetFile, args.encoding);
+    await assertExpectedVersion(targetFile, args, buffer);
+    let result;
+    try {
+        result = applyTextEdit(text, args);
+    } catch (error) {
+        throw new Error(`${error.message} No changes made to file at: ${targetFile}`);
     }
-    const newContent = content.replace(args.oldContent, args.newContent);
-    await fs.writeFile(targetFile, newContent);
-    return { content: `Successfully edited file at: ${targetFile}` };
+    return {
+        content: `Successfully edited file at: ${targetFile}`,
+        hash: await writeTextFile(targetFile, result.content, format),
+        replacements: result.replacements,
+        lines: result.lines,
+    };
 }
 
 async function replaceString(args) {
-    const targetFile = resolveUserPath(args.filePath);
-    const content = await fs.readFile(targetFile, 'utf8');
-    const newContent = content.replace(new RegExp(args.oldString, 'g'), args.newString);
-    await fs.writeFile(targetFile, newContent);
-    return { content: `Successfully replaced string in file at: ${targetFile}` };
+    const targetFile = resolveUserPath(args.filePath, 'write');
+    const { buffer, format, text } = await readTextFile(targetFile, args.encoding);
+    await assertExpectedVersion(targetFile, args, buffer);
+    const matches = findMatches(text, args.oldString, args);
+    let result;
+    try {
+        result = replaceMatches(text, matches, matchLineEndings(args.newString, text), args);
+    } catch (error) {
+        throw new Error(`${error.message} No changes made to file at: ${targetFile}`);
+    }
+    return {
+        content: `Successfully replaced string in file at: ${targetFile}`,
+        hash: result.replacements > 0 ? await writeTextFile(targetFile, result.content, format) : hashContent(buffer),
+        replacements: result.replacements,
+        lines: result.lines,
+    };
+}
+
+async function applyEdits(args) {
+    const targetFile = resolveUserPath(args.filePath, 'write');
+    const { buffer, format, text: original } = await readTextFile(targetFile, args.encoding);
+    await assertExpectedVersion(targetFile, args, buffer);
+    let content = original;
+    args.edits.forEach((edit, index) => {
+        try {
+            if ((edit.oldContent === undefined) === (edit.startLine === undefined)) {
+                throw new Error('Give either oldContent or startLine.');
+            }
+            if (edit.oldContent !== undefined) {
+                content = applyTextEdit(content, edit).content;
+            } else {
+                const endLine = edit.endLine === undefined ? edit.startLine : edit.endLine;
+                content = replaceLineRange(content, edit.startLine, endLine, edit.newContent);
+            }
+        } catch (error) {
+            throw new Error(`Edit ${index + 1} failed: ${error.message} No changes made to file at: ${targetFile}`);
+        }
+    });
+    const diff = Diff.createTwoFilesPatch(targetFile, targetFile, original, content);
+    if (args.dryRun) {
+        return {
+            content: `Dry run: ${args.edits.length} edit(s) apply cleanly to ${targetFile}. Nothing was written.`,
+            diff,
+            hash: hashContent(buffer),
+        };
+    }
+    const hash = content !== original ? await writeTextFile(targetFile, content, format) : hashContent(buffer);
+    return { content: `Successfully applied ${args.edits.length} edit(s) to file at: ${targetFile}`, diff, hash };
+}
+
+async function applyPatch(args) {
+    const fuzz = args.fuzz === undefined ? 0 : args.fuzz;
+    const base = args.basePath ? args.basePath.replace(/[\\/]+$/, '') : '';
+    const resolvePatchPath = (name, operation) => resolveUserPath(base ? `${base}/${name}` : name, operation);
+    const files = parsePatchFiles(args.patch);
+    if (!files.length) {
+        throw new Error('The patch does not contain any file changes.');
+    }
+    const expectedVersions = new Map(Object.entries(args.expectedVersions || {}));
+    for (const name of expectedVersions.keys()) {
+        if (!files.some((file) => file.action !== 'create' && (file.path === name || file.from === name))) {
+            throw new Error(`expectedVersions names ${name}, which the patch does not change. No files were changed.`);
+        }
+    }
+    // Work out every file's new content before touching anything.
+    const steps = [];
+    const touched = new Set();
+    for (const file of files) {
+        const target = resolvePatchPath(file.path, file.action === 'delete' ? 'delete' : 'write');
+        // A rename removes its source path, so it needs the same permission as a delete.
+        const source = file.action === 'rename' ? resolvePatchPath(file.from, 'delete') : target;
+        // Every section is applied to the file as it is on disk, so a second one would silently undo the first.
+        for (const changed of new Set([source, target])) {
+            if (touched.has(changed)) {
+                throw new Error(`The patch changes ${changed} in more than one section. Merge them into one. No files were changed.`);
+            }
+            touched.add(changed);
+        }
+        if ((file.action === 'create' || file.action === 'rename') && fsSync.existsSync(target)) {
+            throw new Error(`Cannot ${file.action === 'create' ? 'create' : 'rename to'} ${target}: it already exists. No files were changed.`);
+        }
+        let original = Buffer.alloc(0);
+        let format = { encoding: 'utf8', bom: false };
+        if (file.action !== 'create') {
+            try {
+                original = await fs.readFile(source);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`ENOENT: File does not exist at: ${source}. No files were changed.`);
+                }
+                throw error;
+            }
+            format = detectTextFormat(original.subarray(0, BINARY_SAMPLE_BYTES)) || format;
+            const expected = expectedVersions.get(file.action === 'rename' && expectedVersions.has(file.from) ? file.from : file.path);
+            if (expected) {
+                await assertExpectedVersion(source, expected, original);
+            }
+        }
+        const text = decodeText(original, format);
+        steps.push({ ...file, target, source, original, text, format, ...applyHunks(text, file.hunks, fuzz) });
+    }
+    const report = steps.map((step) => ({
+        path: step.target,
+        action: step.action,
+        ...(step.action === 'rename' ? { from: step.source } : {}),
+        hunks: step.results,
+    }));
+    const failed = steps.flatMap((step) => step.results.filter((hunk) => hunk.status === 'failed')
+        .map((hunk) => `${step.target} hunk ${hunk.hunk} (line ${hunk.oldStart})`));
+    if (args.dryRun) {
+        const summary = failed.length ? `${failed.length} hunk(s) would fail: ${failed.join(', ')}` : 'the patch applies cleanly';
+        return { content: `Dry run: ${summary}. Nothing was written.`, applied: false, files: report };
+    }
+    if (failed.length) {
+        throw new Error(`Patch not applied, no files were changed. Hunks that did not match: ${failed.join(', ')}.`);
+    }
+    const undo = [];
+    try {
+        for (const step of steps) {
+            if (step.action === 'create') {
+                await fs.mkdir(path.dirname(step.target), { recursive: true });
+                await fs.writeFile(step.target, step.content, { flag: 'wx' });
+                undo.push(() => fs.rm(step.target, { force: true }));
+            } else if (step.action === 'delete') {
+                const trashId = await moveToTrash(step.target);
+                undo.push(() => restoreFromTrash({ id: trashId }));
+            } else {
+                if (step.action === 'rename') {
+                    await fs.mkdir(path.dirname(step.target), { recursive: true });
+                    await fs.rename(step.source, step.target);
+                    undo.push(() => fs.rename(step.target, step.source));
+                }
+                if (step.content !== step.text) {
+                    await writeFileAtomic(step.target, encodeText(step.content, step.format));
+                    undo.push(() => writeFileAtomic(step.target, step.original));
+                }
+            }
+        }
+    } catch (error) {
+        for (const revert of undo.reverse()) {
+            try {
+                await revert();
+            } catch (undoError) {
+                console.error(`Failed to roll back part of a patch: ${undoError.message}`);
+            }
+        }
+        throw new Error(`Patch not applied, changes already made were rolled back: ${error.message}`);
+    }
+    if (steps.some((step) => step.action === 'delete')) {
+        await applyTrashRetention();
+    }
+    return { content: `Successfully applied patch to ${steps.length} file(s).`, applied: true, files: report };
 }
 
 async function deleteFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
-    await fs.unlink(targetFile);
-    return { content: `Successfully deleted file at: ${targetFile}` };
+    const targetFile = resolveUserPath(args.filePath, 'delete');
+    await assertExpectedVersion(targetFile, args);
+    if (args.permanent) {
+        await fs.unlink(targetFile);
+        return { content: `Successfully deleted file at: ${targetFile}` };
+    }
+    if ((await fs.lstat(targetFile)).isDirectory()) {
+        throw new Error(`EISDIR: ${targetFile} is a directory. Use deleteDirectory instead.`);
+    }
+    const trashId = await moveToTrash(targetFile);
+    await applyTrashRetention();
+    return { content: `Successfully deleted file at: ${targetFile} (moved to trash as "${trashId}")`, trashId };
 }
 
 async function deleteDirectory(args) {
-    const targetDirectory = resolveUserPath(args.directoryPath);
-    await fs.rm(targetDirectory, { recursive: true, force: true });
-    return { content: `Successfully deleted directory at: ${targetDirectory}` };
+    const targetDirectory = resolveUserPath(args.directoryPath, 'delete', { recursive: true });
+    await assertExpectedVersion(targetDirectory, args);
+    if (args.permanent || !fsSync.existsSync(targetDirectory)) {
+        await fs.rm(targetDirectory, { recursive: true, force: true });
+        return { content: `Successfully deleted directory at: ${targetDirectory}` };
+    }
+    const trashId = await moveToTrash(targetDirectory);
+    await applyTrashRetention();
+    return { content: `Successfully deleted directory at: ${targetDirectory} (moved to trash as "${trashId}")`, trashId };
 }
 
 async function renameFile(args) {
-    const oldPath = resolveUserPath(args.oldPath);
-    const newPath = resolveUserPath(args.newPath);
+    const oldPath = resolveUserPath(args.oldPath, 'write');
+    const newPath = resolveUserPath(args.newPath, 'write');
+    await assertExpectedVersion(oldPath, args);
     await fs.rename(oldPath, newPath);
     return { content: `Successfully renamed ${oldPath} to ${newPath}` };
 }
 
 async function renameDirectory(args) {
-    const oldPath = resolveUserPath(args.oldPath);
-    const newPath = resolveUserPath(args.newPath);
+    const oldPath = resolveUserPath(args.oldPath, 'write', { recursive: true });
+    const newPath = resolveUserPath(args.newPath, 'write', { recursive: true });
+    await assertExpectedVersion(oldPath, args);
     await fs.rename(oldPath, newPath);
     return { content: `Successfully renamed directory ${oldPath} to ${newPath}` };
 }
 
 async function moveFile(args) {
-    const sourcePath = resolveUserPath(args.sourcePath);
-    const destinationPath = resolveUserPath(args.destinationPath);
+    const sourcePath = resolveUserPath(args.sourcePath, 'write');
+    const destinationPath = resolveUserPath(args.destinationPath, 'write');
+    await assertExpectedVersion(sourcePath, args);
     await fs.rename(sourcePath, destinationPath);
     return { content: `Successfully moved file from ${sourcePath} to ${destinationPath}` };
 }
 
 async function getFileInfo(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'read');
     const stats = await fs.stat(targetFile);
-    return {
+    const info = {
         size: stats.size,
         createdAt: stats.birthtime.toISOString(),
         modifiedAt: stats.mtime.toISOString(),
         isDirectory: stats.isDirectory(),
         isFile: stats.isFile(),
     };
+    if (stats.isFile()) {
+        info.hash = await hashFile(targetFile);
+        // Encoding and line endings are judged from the start of the file.
+        const handle = await fs.open(targetFile, 'r');
+        try {
+            const sample = await readBytes(handle, 0, BINARY_SAMPLE_BYTES);
+            const format = detectTextFormat(sample);
+            if (format) {
+                Object.assign(info, { encoding: format.encoding, bom: format.bom, eol: describeLineEndings(decodeText(sample, format)) });
+            } else {
+                info.encoding = 'binary';
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+    return info;
 }
 
 async function getDirectoryInfo(args) {
-    const targetDirectory = resolveUserPath(args.directoryPath);
+    const targetDirectory = resolveUserPath(args.directoryPath, 'read');
     const files = await fs.readdir(targetDirectory);
     let fileCount = 0;
     let directoryCount = 0;
@@ -146,25 +2970,37 @@ async function getDirectoryInfo(args) {
 }
 
 async function moveDirectory(args) {
-    const sourcePath = resolveUserPath(args.sourcePath);
-    const destinationPath = resolveUserPath(args.destinationPath);
+    const sourcePath = resolveUserPath(args.sourcePath, 'write', { recursive: true });
+    const destinationPath = resolveUserPath(args.destinationPath, 'write', { recursive: true });
+    await assertExpectedVersion(sourcePath, args);
     await fs.rename(sourcePath, destinationPath);
     return { content: `Successfully moved directory from ${sourcePath} to ${destinationPath}` };
 }
 
 async function createDirectory(args) {
-    const targetDirectory = resolveUserPath(args.directoryPath);
+    const targetDirectory = resolveUserPath(args.directoryPath, 'write');
     await fs.mkdir(targetDirectory, { recursive: true });
     return { content: `Successfully created directory at: ${targetDirectory}` };
 }
 
 async function appendToFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'write');
     try {
         // Ensure file exists before appending
         await fs.access(targetFile);
-        await fs.appendFile(targetFile, args.content);
-        return { content: `Successfully appended to file at: ${targetFile}` };
+        await assertExpectedVersion(targetFile, args);
+        // Match the file's encoding and line endings, judged from its start.
+        const handle = await fs.open(targetFile, 'r');
+        let sample;
+        try {
+            sample = await readBytes(handle, 0, BINARY_SAMPLE_BYTES);
+        } finally {
+            await handle.close();
+        }
+        const format = detectTextFormat(sample, args.encoding) || { encoding: 'utf8', bom: false };
+        const text = matchLineEndings(args.content, decodeText(sample, format));
+        await fs.appendFile(targetFile, encodeText(text, { ...format, bom: false }));
+        return { content: `Successfully appended to file at: ${targetFile}`, hash: await hashFile(targetFile) };
     } catch (error) {
         if (error.code === 'ENOENT') {
             throw new Error(`ENOENT: File does not exist at: ${targetFile}`);
@@ -174,14 +3010,14 @@ async function appendToFile(args) {
 }
 
 async function prependToFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'write');
     try {
         // Ensure file exists before prepending
         await fs.access(targetFile);
-        const currentContent = await fs.readFile(targetFile, 'utf8');
-        const newContent = args.content + currentContent;
-        await fs.writeFile(targetFile, newContent);
-        return { content: `Successfully prepended to file at: ${targetFile}` };
+        const { buffer, format, text } = await readTextFile(targetFile, args.encoding);
+        await assertExpectedVersion(targetFile, args, buffer);
+        const hash = await writeTextFile(targetFile, matchLineEndings(args.content, text) + text, format);
+        return { content: `Successfully prepended to file at: ${targetFile}`, hash };
     } catch (error) {
         if (error.code === 'ENOENT') {
             throw new Error(`ENOENT: File does not exist at: ${targetFile}`);
@@ -190,15 +3026,105 @@ async function prependToFile(args) {
     }
 }
 
+/**
+ * Shared by the line-editing tools: check `expectedContent` against lines
+ * guardStart..guardEnd, then replace `deleteCount` lines from `startLine` with `text` and
+ * write the file back atomically.
+ */
+async function rewriteLines(args, { startLine, deleteCount, text, guardStart, guardEnd }) {
+    const targetFile = resolveUserPath(args.filePath, 'write');
+    const { buffer, format, text: content } = await readTextFile(targetFile, args.encoding);
+    await assertExpectedVersion(targetFile, args, buffer);
+    const { starts, lineCount } = getLineOffsets(content);
+    if (startLine > lineCount + 1 || startLine + deleteCount - 1 > lineCount) {
+        throw new Error(`Line ${guardEnd} is not in the file, which has ${lineCount} line(s).`);
+    }
+    if (args.expectedContent !== undefined) {
+        const actual = guardStart > lineCount ? '' : content.slice(starts[guardStart - 1], guardEnd < lineCount ? starts[guardEnd] : content.length);
+        const normalize = (value) => value.replace(/\r\n/g, '\n').replace(/\n$/, '');
+        if (normalize(actual) !== normalize(args.expectedContent)) {
+            const lines = guardStart === guardEnd ? `Line ${guardStart} does` : `Lines ${guardStart}-${guardEnd} do`;
+            throw new Error(`Conflict: ${lines} not contain the expected content (found ${JSON.stringify(normalize(actual).slice(0, 200))}). Read the file again.`);
+        }
+    }
+    const hash = await writeTextFile(targetFile, spliceLines(content, startLine, deleteCount, text), format);
+    return { targetFile, hash };
+}
+
+async function insertAtLine(args) {
+    const after = args.position === 'after';
+    const { targetFile, hash } = await rewriteLines(args, {
+        startLine: after ? args.line + 1 : args.line,
+        deleteCount: 0,
+        text: args.content,
+        guardStart: args.line,
+        guardEnd: args.line,
+    });
+    return { content: `Successfully inserted content ${after ? 'after' : 'before'} line ${args.line} of file at: ${targetFile}`, hash };
+}
+
+async function replaceLines(args) {
+    if (args.endLine < args.startLine) {
+        throw new Error(`endLine (${args.endLine}) is before startLine (${args.startLine}).`);
+    }
+    const { targetFile, hash } = await rewriteLines(args, {
+        startLine: args.startLine,
+        deleteCount: args.endLine - args.startLine + 1,
+        text: args.content,
+        guardStart: args.startLine,
+        guardEnd: args.endLine,
+    });
+    return { content: `Successfully replaced lines ${args.startLine}-${args.endLine} of file at: ${targetFile}`, hash };
+}
+
+async function deleteLines(args) {
+    const endLine = args.endLine === undefined ? args.startLine : args.endLine;
+    if (endLine < args.startLine) {
+        throw new Error(`endLine (${endLine}) is before startLine (${args.startLine}).`);
+    }
+    const { targetFile, hash } = await rewriteLines(args, {
+        startLine: args.startLine,
+        deleteCount: endLine - args.startLine + 1,
+        text: '',
+        guardStart: args.startLine,
+        guardEnd: endLine,
+    });
+    return { content: `Successfully deleted lines ${args.startLine}-${endLine} of file at: ${targetFile}`, hash };
+}
+
+async function convertFile(args) {
+    const targetFile = resolveUserPath(args.filePath, 'write');
+    const { buffer, format, text } = await readTextFile(targetFile, args.sourceEncoding);
+    await assertExpectedVersion(targetFile, args, buffer);
+    const target = args.encoding === undefined && args.bom === undefined
+        ? format
+        : newTextFormat({ encoding: args.encoding || format.encoding, bom: args.bom });
+    const converted = args.eol === undefined ? text : text.replace(/\r?\n/g, args.eol === 'crlf' ? '\r\n' : '\n');
+    const data = encodeText(converted, target);
+    const changed = !data.equals(buffer);
+    if (changed) {
+        await writeFileAtomic(targetFile, data);
+    }
+    const eol = describeLineEndings(converted);
+    return {
+        content: `${changed ? 'Successfully converted' : 'Nothing to convert in'} file at: ${targetFile} (${target.encoding}${target.bom ? ' with BOM' : ''}, ${eol} line endings)`,
+        hash: hashContent(data),
+        encoding: target.encoding,
+        bom: target.bom,
+        eol,
+    };
+}
+
 async function searchInFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'read');
     try {
-        const content = await fs.readFile(targetFile, 'utf8');
-        const lines = content.split(/\r?\n/);
+        const { text } = await readTextFile(targetFile, args.encoding);
+        const lines = text.split(/\r?\n/);
         const matchingLines = [];
-        // Remove 'g' flag to avoid stateful regex issues
-        const regex = new RegExp(args.pattern);
+        const regex = createMatcher(args.pattern, args);
         for (let i = 0; i < lines.length; i++) {
+            // The matcher is global, so reset it before testing each line.
+            regex.lastIndex = 0;
             if (regex.test(lines[i])) {
                 matchingLines.push({ lineNumber: i + 1, lineContent: lines[i] });
             }
@@ -208,13 +3134,234 @@ async function searchInFile(args) {
         if (error.code === 'ENOENT') {
             throw new Error(`File not found at: ${targetFile}`);
         }
-        throw error;
+        throw error;
+    }
+}
+
+const DEFAULT_SEARCH_MATCHES = 100;
+const MAX_LINE_CHARS = 1000;
+
+/** Keep a long (e.g. minified) line to MAX_LINE_CHARS characters around position `index`. */
+function clipLine(line, index) {
+    if (line.length <= MAX_LINE_CHARS) {
+        return line;
+    }
+    const start = Math.max(0, Math.min(index - 100, line.length - MAX_LINE_CHARS));
+    return line.slice(start, start + MAX_LINE_CHARS);
+}
+
+/**
+ * searchContent cursors name the file to resume in by its position in the walk and its path, so
+ * a tree that has changed since is detected, plus how many of its matches were already returned.
+ * They also carry a hash of the search, so a cursor cannot be resumed with different options.
+ */
+function decodeSearchCursor(cursor, query) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Invalid cursor.');
+    }
+    if (!decoded || !Number.isInteger(decoded.fileIndex) || !Number.isInteger(decoded.skip) || typeof decoded.file !== 'string') {
+        throw new Error('Invalid cursor.');
+    }
+    if (decoded.query !== query) {
+        throw new Error('The cursor belongs to a different search. Pass the same directoryPath, pattern or query and options.');
+    }
+    return decoded;
+}
+
+/**
+ * Search with a regular expression or literal `pattern`, or with a `query` of words and phrases.
+ * A query uses the index covering the directory, if there is one, to skip files that cannot
+ * match without reading them; files that are not indexed or changed since are read as usual.
+ */
+async function searchContent(args) {
+    if ((args.pattern === undefined) === (args.query === undefined)) {
+        throw new Error('Pass either a pattern or a query.');
+    }
+    const targetDirectory = resolveUserPath(args.directoryPath || '', 'read');
+    const alternatives = args.query === undefined ? null : parseSearchQuery(args.query);
+    const regex = alternatives ? null : createMatcher(args.pattern, args);
+    const include = args.include || [];
+    const maxMatches = args.maxMatches || DEFAULT_SEARCH_MATCHES;
+    const contextLines = args.contextLines || 0;
+    const searchHash = hashContent(JSON.stringify([
+        targetDirectory, args.pattern, args.query, args.matchMode, args.flags, args.caseInsensitive, include, args.exclude, args.showHidden, args.gitignore,
+    ])).slice(0, 16);
+    const cursor = args.cursor === undefined ? null : decodeSearchCursor(args.cursor, searchHash);
+    const index = alternatives && args.useIndex !== false ? await findCoveringIndex(targetDirectory) : null;
+    const candidates = index && findIndexCandidates(index, alternatives);
+    const matches = [];
+    let fileIndex = -1;
+    let filesSearched = 0;
+    let filesSkippedByIndex = 0;
+    let nextCursor;
+    const walk = walkDirectory(targetDirectory, {
+        showHidden: Boolean(args.showHidden),
+        gitignore: args.gitignore !== false,
+        exclude: args.exclude || [],
+    });
+    for await (const entry of walk) {
+        if (entry.type !== 'file' || (include.length && !matchesAnyGlob(entry.relativePath, include))) {
+            continue;
+        }
+        fileIndex++;
+        if (cursor && fileIndex < cursor.fileIndex) {
+            continue;
+        }
+        const resuming = cursor && fileIndex === cursor.fileIndex;
+        if (resuming && entry.relativePath !== cursor.file) {
+            throw new Error('The directory has changed since the cursor was issued. Search again from the start.');
+        }
+        if (index) {
+            const indexed = index.fileMap.get(toPosixPath(path.relative(index.directory, entry.path)));
+            if (indexed && !candidates.has(indexed.id)) {
+                const stats = await fs.stat(entry.path).catch(() => null);
+                if (stats && stats.size === indexed.size && stats.mtimeMs === indexed.mtimeMs) {
+                    filesSkippedByIndex++;
+                    continue;
+                }
+            }
+        }
+        const text = await readSearchableText(entry.path);
+        if (text === null) {
+            continue;
+        }
+        filesSearched++;
+        let findInLine = (line) => line.matchAll(regex);
+        if (alternatives) {
+            const matching = alternatives.filter((terms) => matchesQueryTerms(terms, text));
+            if (!matching.length) {
+                continue;
+            }
+            const regexes = matching.flat().filter((term) => !term.negated).map((term) => term.regex);
+            findInLine = (line) => {
+                const starts = new Set(regexes.flatMap((termRegex) => [...line.matchAll(termRegex)].map((match) => match.index)));
+                return [...starts].sort((a, b) => a - b).map((start) => ({ index: start }));
+            };
+        }
+        const lines = text.split(/\r?\n/);
+        if (text.endsWith('\n')) {
+            lines.pop();
+        }
+        let found = 0;
+        for (let i = 0; i < lines.length && !nextCursor; i++) {
+            for (const match of findInLine(lines[i])) {
+                found++;
+                if (resuming && found <= cursor.skip) {
+                    continue;
+                }
+                if (matches.length === maxMatches) {
+                    nextCursor = Buffer.from(JSON.stringify({ query: searchHash, fileIndex, file: entry.relativePath, skip: found - 1 })).toString('base64url');
+                    break;
+                }
+                const result = { path: entry.path, line: i + 1, column: match.index + 1, lineContent: clipLine(lines[i], match.index) };
+                if (contextLines) {
+                    result.before = lines.slice(Math.max(0, i - contextLines), i).map((line) => clipLine(line, 0));
+                    result.after = lines.slice(i + 1, i + 1 + contextLines).map((line) => clipLine(line, 0));
+                }
+                matches.push(result);
+            }
+        }
+        if (nextCursor) {
+            break;
+        }
+    }
+    return {
+        matches,
+        filesSearched,
+        ...(alternatives ? { indexUsed: index ? index.directory : null, filesSkippedByIndex } : {}),
+        truncated: Boolean(nextCursor),
+        ...(nextCursor ? { nextCursor } : {}),
+    };
+}
+
+async function headFile(args) {
+    const targetFile = resolveUserPath(args.filePath, 'read');
+    const handle = await fs.open(targetFile, 'r');
+    try {
+        const stats = await handle.stat();
+        await assertTextFile(handle, targetFile);
+        const { content, truncated } = await readFirstLines(handle, stats.size, args.lines === undefined ? 10 : args.lines, getMaxResponseBytes());
+        return { content: content.toString('utf8').replace(/^\uFEFF/, ''), totalBytes: stats.size, truncated };
+    } finally {
+        await handle.close();
+    }
+}
+
+async function tailFile(args, context = {}) {
+    const targetFile = resolveUserPath(args.filePath, 'read');
+    const limit = getMaxResponseBytes();
+    let result;
+    const handle = await fs.open(targetFile, 'r');
+    try {
+        const stats = await handle.stat();
+        await assertTextFile(handle, targetFile);
+        const { content, truncated } = await readLastLines(handle, stats.size, args.lines === undefined ? 10 : args.lines, limit);
+        result = { content: content.toString('utf8').replace(/^\uFEFF/, ''), totalBytes: stats.size, truncated };
+    } finally {
+        await handle.close();
+    }
+    if (!args.follow) {
+        return result;
+    }
+    const followed = await followFile(targetFile, result.totalBytes, {
+        until: args.untilPattern === undefined ? null : createMatcher(args.untilPattern, args),
+        timeoutMs: args.timeoutMs === undefined ? 30000 : args.timeoutMs,
+        limit,
+    }, context);
+    return {
+        ...result,
+        appended: followed.appended,
+        stoppedBy: followed.stoppedBy,
+        ...(followed.matchedLine !== undefined ? { matchedLine: followed.matchedLine } : {}),
+        totalBytes: followed.endOffset,
+        truncated: result.truncated || followed.truncated,
+    };
+}
+
+async function diffFiles(args) {
+    if ((args.otherPath === undefined) === (args.content === undefined)) {
+        throw new Error('Give either otherPath or content to compare the file with.');
+    }
+    const oldFile = resolveUserPath(args.filePath, 'read');
+    const oldText = (await readTextFile(oldFile)).text;
+    let newLabel = `${oldFile} (proposed)`;
+    let newText = args.content;
+    if (args.otherPath !== undefined) {
+        newLabel = resolveUserPath(args.otherPath, 'read');
+        newText = (await readTextFile(newLabel)).text;
+    }
+    const context = args.contextLines === undefined ? 3 : args.contextLines;
+    const options = {
+        context,
+        ignoreWhitespace: Boolean(args.ignoreWhitespace),
+        stripTrailingCr: Boolean(args.ignoreLineEndings),
+        ignoreNewlineAtEof: Boolean(args.ignoreLineEndings),
+    };
+    const patch = Diff.structuredPatch(oldFile, newLabel, oldText, newText, undefined, undefined, options);
+    const summary = { added: 0, removed: 0 };
+    for (const line of patch.hunks.flatMap((hunk) => hunk.lines)) {
+        if (line[0] === '+') {
+            summary.added++;
+        } else if (line[0] === '-') {
+            summary.removed++;
+        }
+    }
+    const identical = patch.hunks.length === 0;
+    let diff = '';
+    if (!identical) {
+        diff = args.format === 'side-by-side'
+            ? formatSideBySide(Diff.diffLines(oldText, newText, options), context)
+            : Diff.formatPatch(patch);
     }
+    return { diff, identical, summary };
 }
 
 async function zipDirectory(args) {
-    const sourceDir = resolveUserPath(args.directoryPath);
-    const outputPath = resolveUserPath(args.outputPath);
+    const sourceDir = resolveUserPath(args.directoryPath, 'archive', { recursive: true });
+    const outputPath = resolveUserPath(args.outputPath, 'write');
     // Ensure source directory exists
     if (!fsSync.existsSync(sourceDir)) {
         throw new Error(`ENOENT: Directory not found at: ${sourceDir}`);
@@ -238,8 +3385,8 @@ async function zipDirectory(args) {
 }
 
 async function unzipFile(args) {
-    const sourceFile = resolveUserPath(args.filePath);
-    const destinationPath = resolveUserPath(args.destinationPath);
+    const sourceFile = resolveUserPath(args.filePath, 'archive');
+    const destinationPath = resolveUserPath(args.destinationPath, 'write');
     try {
         await fse.ensureDir(destinationPath);
         return new Promise((resolve, reject) => {
@@ -248,6 +3395,17 @@ async function unzipFile(args) {
                 zipfile.readEntry();
                 zipfile.on('entry', (entry) => {
                     const entryPath = path.join(destinationPath, entry.fileName);
+                    try {
+                        // Entries must land inside the destination, not beside it or through a symlink.
+                        if (!isWithin(entryPath, destinationPath)) {
+                            throw new Error(`Zip entry escapes the destination: ${entry.fileName}`);
+                        }
+                        resolveUserPath(entryPath, 'write');
+                    } catch (error) {
+                        zipfile.close();
+                        reject(error);
+                        return;
+                    }
                     if (/\/$/.test(entry.fileName)) {
                         fse.ensureDir(entryPath).then(() => zipfile.readEntry()).catch(reject);
                     } else {
@@ -274,8 +3432,9 @@ async function unzipFile(args) {
 }
 
 async function changePermissions(args) {
-    const targetPath = resolveUserPath(args.filePath);
+    const targetPath = resolveUserPath(args.filePath, 'write');
     try {
+        await assertExpectedVersion(targetPath, args);
         await fs.chmod(targetPath, args.mode);
         return { content: `Successfully changed permissions for ${targetPath} to ${args.mode.toString(8)}` };
     } catch (error) {
@@ -287,7 +3446,7 @@ async function changePermissions(args) {
 }
 
 async function listRecentFiles(args) {
-    const targetPath = args.directoryPath ? resolveUserPath(args.directoryPath) : os.homedir();
+    const targetPath = resolveUserPath(args.directoryPath || '', 'read');
     const limit = args.limit || 10;
     try {
         const files = await fs.readdir(targetPath);
@@ -313,71 +3472,219 @@ async function listRecentFiles(args) {
     }
 }
 
+/** A time given as milliseconds or an ISO 8601 string, in milliseconds. */
+function parseTime(value, name) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name}: ${value}. Use milliseconds or an ISO 8601 date.`);
+    }
+    return time;
+}
+
+const DEFAULT_SEARCH_FILES_LIMIT = 100;
+// Sorting needs every match, so stop walking after this many entries rather than scan a whole home directory.
+const SEARCH_FILES_MAX_SCANNED = 100000;
+
 async function searchFiles(args) {
-    const targetPath = args.directoryPath ? resolveUserPath(args.directoryPath) : os.homedir();
-    const fileNamePattern = args.fileNamePattern ? args.fileNamePattern.toLowerCase() : null;
+    const targetPath = resolveUserPath(args.directoryPath || '', 'read');
+    if (!fsSync.existsSync(targetPath)) {
+        throw new Error(`Directory not found at: ${targetPath}`);
+    }
+    let fileNamePattern = null;
+    if (args.fileNamePattern) {
+        try {
+            fileNamePattern = new RegExp(args.fileNamePattern, args.caseInsensitive ? 'i' : '');
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+    }
+    const globs = args.glob === undefined ? [] : [].concat(args.glob);
+    const type = args.type || 'file';
     const minSize = args.minSize || 0;
-    const maxSize = args.maxSize || Infinity;
-    const modifiedSince = args.modifiedSince || 0;
-    try {
-        const files = await fs.readdir(targetPath);
-        let filteredFiles = files;
-        if (fileNamePattern) {
-            filteredFiles = fuzzaldrin.filter(files, fileNamePattern);
+    const maxSize = args.maxSize === undefined ? Infinity : args.maxSize;
+    const modifiedSince = args.modifiedSince === undefined ? -Infinity : parseTime(args.modifiedSince, 'modifiedSince');
+    const modifiedBefore = args.modifiedBefore === undefined ? Infinity : parseTime(args.modifiedBefore, 'modifiedBefore');
+    const sortBy = args.sortBy || 'path';
+    const order = args.order || 'asc';
+    const limit = args.limit || DEFAULT_SEARCH_FILES_LIMIT;
+    const scanLimit = args.scanLimit || SEARCH_FILES_MAX_SCANNED;
+    let scanned = 0;
+    let truncated = false;
+    let matchingFiles = [];
+    const walk = walkDirectory(targetPath, {
+        maxDepth: args.maxDepth,
+        showHidden: Boolean(args.showHidden),
+        gitignore: args.gitignore !== false,
+        exclude: args.exclude || [],
+    });
+    for await (const entry of walk) {
+        if (scanned === scanLimit) {
+            truncated = true;
+            break;
         }
-        const matchingFiles = [];
-        for (const file of filteredFiles) {
-            const filePath = path.join(targetPath, file);
-            try {
-                const stats = await fs.stat(filePath);
-                if (stats.isFile()) {
-                    let matches = true;
-                    if (stats.size < minSize || stats.size > maxSize) matches = false;
-                    if (stats.mtime.getTime() < modifiedSince) matches = false;
-                    if (matches) {
-                        matchingFiles.push({
-                            name: file,
-                            path: filePath,
-                            size: stats.size,
-                            modifiedAt: stats.mtime.toISOString(),
-                        });
-                    }
-                }
-            } catch (error) {
-                // Ignore errors for files that might have been deleted between readdir and stat
-            }
+        scanned++;
+        if ((type !== 'any' && entry.type !== type)
+            || (fileNamePattern && !fileNamePattern.test(entry.name))
+            || (globs.length && !globs.some((glob) => minimatch(entry.relativePath, glob, { dot: true, matchBase: true, nocase: Boolean(args.caseInsensitive) })))) {
+            continue;
         }
-        return { content: matchingFiles };
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            throw new Error(`Directory not found at: ${targetPath}`);
+        let stats;
+        try {
+            stats = await fs.lstat(entry.path);
+        } catch {
+            // Ignore errors for files that might have been deleted between readdir and stat
+            continue;
         }
-        throw error;
+        const mtime = stats.mtime.getTime();
+        if ((entry.type === 'file' && (stats.size < minSize || stats.size > maxSize)) || mtime < modifiedSince || mtime >= modifiedBefore) {
+            continue;
+        }
+        matchingFiles.push({
+            name: entry.name,
+            path: entry.path,
+            relativePath: entry.relativePath,
+            type: entry.type,
+            size: stats.size,
+            mtime,
+            modifiedAt: stats.mtime.toISOString(),
+        });
+    }
+    matchingFiles.sort((a, b) => compareListEntries(a, b, sortBy, order === 'desc'));
+    const total = matchingFiles.length;
+    if (args.cursor !== undefined) {
+        const after = decodeListCursor(args.cursor, sortBy, order);
+        matchingFiles = matchingFiles.filter((file) => compareListEntries(file, after, sortBy, order === 'desc') > 0);
+    }
+    const result = {
+        content: matchingFiles.slice(0, limit).map((file) => ({
+            name: file.name, path: file.path, relativePath: file.relativePath, type: file.type, size: file.size, modifiedAt: file.modifiedAt,
+        })),
+        total,
+        truncated,
+    };
+    if (matchingFiles.length > limit) {
+        result.nextCursor = encodeListCursor(matchingFiles[limit - 1], sortBy, order);
+    }
+    return result;
+}
+
+const FIND_EXCLUDES = ['node_modules', 'vendor', 'bower_components', '.git'];
+// Stop collecting candidates after this many files, so a search of a huge tree still returns.
+const FIND_MAX_CANDIDATES = 100000;
+const DEFAULT_FIND_RESULTS = 10;
+
+/**
+ * How well the `words` of a query match `text`, from 0 to 1: each word is fuzzy-matched
+ * separately, so their order does not matter, and the scores are averaged.
+ */
+function fuzzyScore(words, text) {
+    return words.reduce((sum, word) => sum + fuzzy(word, text), 0) / words.length;
+}
+
+/**
+ * Rank a candidate: mostly by how well the query matches its path or name, with a boost when
+ * the file name itself matches and a smaller one for files modified recently.
+ */
+function rankCandidate(words, relativePath, name, mtime) {
+    const nameScore = fuzzyScore(words, name);
+    const matchScore = Math.max(fuzzyScore(words, relativePath), nameScore);
+    const ageDays = Math.max(0, Date.now() - mtime) / 86400000;
+    return { matchScore, score: 0.75 * matchScore + 0.15 * nameScore + 0.1 / (1 + ageDays / 30) };
+}
+
+async function findFile(args) {
+    const targetDirectory = resolveUserPath(args.directoryPath || '', 'read');
+    const words = args.query.trim().split(/\s+/).filter(Boolean);
+    if (!words.length) {
+        throw new Error('The query is empty.');
+    }
+    const threshold = args.threshold === undefined ? 0.6 : args.threshold;
+    const limit = args.limit || DEFAULT_FIND_RESULTS;
+    const results = [];
+    let scanned = 0;
+    let truncated = false;
+    const walk = walkDirectory(targetDirectory, {
+        maxDepth: args.maxDepth,
+        showHidden: Boolean(args.showHidden),
+        gitignore: args.gitignore !== false,
+        exclude: [...FIND_EXCLUDES, ...(args.exclude || [])],
+    });
+    for await (const entry of walk) {
+        if (entry.type !== 'file') {
+            continue;
+        }
+        if (scanned === FIND_MAX_CANDIDATES) {
+            truncated = true;
+            break;
+        }
+        scanned++;
+        // Check the match before the stat call, which is only needed for the recency boost.
+        if (Math.max(fuzzyScore(words, entry.relativePath), fuzzyScore(words, entry.name)) < threshold) {
+            continue;
+        }
+        let stats;
+        try {
+            stats = await fs.stat(entry.path);
+        } catch {
+            continue;
+        }
+        const { score, matchScore } = rankCandidate(words, entry.relativePath, entry.name, stats.mtimeMs);
+        results.push({
+            path: entry.path,
+            relativePath: entry.relativePath,
+            score: Math.round(score * 1000) / 1000,
+            matchScore: Math.round(matchScore * 1000) / 1000,
+            modifiedAt: stats.mtime.toISOString(),
+        });
     }
+    results.sort((a, b) => b.score - a.score || (a.relativePath < b.relativePath ? -1 : 1));
+    return { results: results.slice(0, limit), scanned, truncated };
+}
+
+async function listRoots() {
+    return {
+        roots: getAllowedRoots().map((root, index) => ({ name: root.name, path: root.path, isDefault: index === 0 })),
+    };
 }
 
 async function saveContentToFile(args) {
-    const targetFile = resolveUserPath(args.filePath);
+    const targetFile = resolveUserPath(args.filePath, 'write');
     await fs.mkdir(path.dirname(targetFile), { recursive: true });
-    const flag = args.overwrite ? 'w' : 'wx';
-    await fs.writeFile(targetFile, args.content, { flag });
-    return { content: `Successfully saved content to file at: ${targetFile}` };
+    let format = newTextFormat(args);
+    let text = args.content;
+    let data;
+    if (args.overwrite) {
+        await assertExpectedVersion(targetFile, args);
+        // An existing text file keeps its encoding, unless one is given, and its line endings.
+        const existing = await readTextFile(targetFile).catch(() => null);
+        if (existing) {
+            format = args.encoding === undefined ? existing.format : format;
+            text = matchLineEndings(text, existing.text);
+        }
+        data = encodeText(text, format);
+        await writeFileAtomic(targetFile, data);
+    } else {
+        data = encodeText(text, format);
+        await fs.writeFile(targetFile, data, { flag: 'wx' });
+    }
+    return { content: `Successfully saved content to file at: ${targetFile}`, hash: hashContent(data) };
 }
 
 async function exportContent(args) {
-    const absOutput = resolveUserPath(args.outputPath);
+    const absOutput = resolveUserPath(args.outputPath, 'export');
+    await assertExpectedVersion(absOutput, args);
     await fs.mkdir(path.dirname(absOutput), { recursive: true });
     let markdownContent = '';
     if (args.sourceType === 'text') {
         markdownContent = args.source;
     } else if (args.sourceType === 'file') {
-        const absSource = resolveUserPath(args.source);
-        markdownContent = await fs.readFile(absSource, 'utf8');
+        const absSource = resolveUserPath(args.source, 'read');
+        markdownContent = (await readTextFile(absSource)).text;
     } else {
         throw new Error('Invalid sourceType. Use "text" or "file".');
     }
     if (args.format === 'md') {
-        await fs.writeFile(absOutput, markdownContent, { flag: 'w' });
+        await writeFileAtomic(absOutput, markdownContent);
         return { content: `Successfully exported as markdown: ${absOutput}` };
     } else if (args.format === 'pdf') {
         const md = new MarkdownIt();
@@ -385,283 +3692,1687 @@ async function exportContent(args) {
         const browser = await puppeteer.launch();
         const page = await browser.newPage();
         await page.setContent(html, { waitUntil: 'networkidle0' });
-        await page.pdf({ path: absOutput, format: 'A4' });
+        const pdf = await page.pdf({ format: 'A4' });
         await browser.close();
+        await writeFileAtomic(absOutput, pdf);
         return { content: `Successfully exported as PDF: ${absOutput}` };
     } else {
         throw new Error('Invalid format. Use "md" or "pdf".');
     }
 }
 
-// --- Tool Definition (for Gemini CLI) ---
+// --- Tool Registry ---
 
-function getToolDefinition() {
-    return {
-        name: 'fs-windows',
-        description: 'A tool for performing file system operations on Windows.',
-        tools: [
-            {
-                name: 'listFiles',
-                description: 'Lists files and folders in a specified directory relative to your home folder. Defaults to the home folder.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'e.g., "Documents" or "Downloads".' },
-                    },
-                },
-            },
-            {
-                name: 'readFile',
-                description: 'Reads the contents of a specified file.',
-                schema: {
-                    properties: { filePath: { type: 'string', description: 'Path relative to your home folder. e.g., "Documents/my_notes.txt".' } },
-                    required: ['filePath'],
-                },
+const messageOutputSchema = {
+    type: 'object',
+    properties: { content: { type: 'string', description: 'A human-readable summary of what was done.' } },
+    required: ['content'],
+};
+
+const writeOutputSchema = {
+    type: 'object',
+    properties: {
+        content: { type: 'string', description: 'A human-readable summary of what was done.' },
+        hash: { type: 'string', description: 'SHA-256 of the file as written; pass it as expectedHash to the next write.' },
+    },
+    required: ['content', 'hash'],
+};
+
+const replaceOutputSchema = {
+    type: 'object',
+    properties: {
+        ...writeOutputSchema.properties,
+        replacements: { type: 'integer', description: 'How many matches were replaced.' },
+        lines: { type: 'array', items: { type: 'integer' }, description: 'The line each replaced match starts on.' },
+    },
+    required: ['content', 'hash', 'replacements', 'lines'],
+};
+
+/** How the text to find is interpreted by editFile, replaceString and searchInFile. */
+const matchModeProperties = {
+    matchMode: {
+        type: 'string',
+        enum: ['literal', 'regex'],
+        description: 'literal (default) matches the text exactly; regex treats it as a JavaScript regular expression.',
+    },
+    flags: { type: 'string', pattern: '^[imsu]*$', description: 'Regular expression flags for regex mode, e.g. "i" or "m".' },
+};
+
+/** Optional preconditions accepted by every tool that modifies an existing file. */
+const versionProperties = {
+    expectedHash: {
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{64}$',
+        description: 'Only proceed if the file\'s SHA-256 (the hash returned by readFile or getFileInfo) still matches; otherwise fail with a conflict.',
+    },
+    expectedMtime: {
+        type: ['string', 'number'],
+        description: 'Only proceed if the file\'s modification time (ISO 8601 or milliseconds, e.g. modifiedAt from getFileInfo) still matches; otherwise fail with a conflict.',
+    },
+};
+
+/** The precondition accepted by tools that change a directory, which has no content hash. */
+const directoryVersionProperties = {
+    expectedMtime: {
+        type: ['string', 'number'],
+        description: 'Only proceed if the directory\'s modification time (modifiedAt from getFileInfo) still matches, i.e. no entry was added, removed or renamed directly inside it; otherwise fail with a conflict.',
+    },
+};
+
+/** Overrides encoding detection for tools that read or edit text files. */
+const encodingProperties = {
+    encoding: {
+        type: 'string',
+        enum: TEXT_ENCODINGS,
+        description: 'The file\'s text encoding, if detection gets it wrong (e.g. "latin1"). By default it is read from a byte order mark, else UTF-8 is assumed.',
+    },
+};
+
+/** The encoding of a file being created. */
+const newFileEncodingProperties = {
+    encoding: { type: 'string', enum: TEXT_ENCODINGS, description: 'Encoding to write the file in. Default: utf8.' },
+    bom: { type: 'boolean', description: 'Whether to start the file with a byte order mark. Default: only for UTF-16.' },
+};
+
+/** How buildIndex and indexStatus describe an index. */
+const indexProperties = {
+    directory: { type: 'string' },
+    files: { type: 'integer', description: 'Files in the index.' },
+    words: { type: 'integer', description: 'Distinct words in the index.' },
+    builtAt: { type: 'string' },
+    sizeBytes: { type: 'integer' },
+    options: { type: 'object', description: 'The include, exclude, showHidden and gitignore options it was built with.' },
+};
+
+const deleteOutputSchema = {
+    type: 'object',
+    properties: {
+        content: { type: 'string', description: 'A human-readable summary of what was done.' },
+        trashId: { type: 'string', description: 'The trash id, unless the deletion was permanent.' },
+    },
+    required: ['content'],
+};
+
+/**
+ * Every tool the server exposes. Each entry declares its handler, the class of access it needs
+ * (`operation`: read, write, delete, archive or export), MCP input/output schemas and behaviour
+ * annotations; dispatch, exports and tool definitions are all generated from here.
+ */
+const toolRegistry = [
+    {
+        name: 'readAuditLog',
+        handler: readAuditLog,
+        operation: 'read',
+        description: 'Reads recent entries from the audit log of mutating tool calls, newest first. Can filter by tool, path, outcome and time.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                tool: { type: 'string', description: 'Only entries for this tool, e.g. "deleteFile".' },
+                path: { type: 'string', description: 'Only entries that touched this file or anything inside this directory.' },
+                outcome: { type: 'string', enum: ['success', 'error'], description: 'Only successful or only failed calls.' },
+                since: { type: 'string', format: 'date-time', description: 'Only entries at or after this ISO 8601 time.' },
+                limit: { type: 'integer', minimum: 1, description: 'Maximum number of entries to return. Defaults to 50.' },
             },
-            {
-                name: 'createFile',
-                description: 'Creates a new file with content. Fails if the file already exists.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path for the new file. e.g., "Desktop/new_file.txt".' },
-                        content: { type: 'string', description: 'The content to write into the new file.' },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            timestamp: { type: 'string' },
+                            tool: { type: 'string' },
+                            paths: { type: 'array', items: { type: 'string' } },
+                            pathCount: { type: 'integer', description: 'Total paths touched, when more than were recorded.' },
+                            args: { type: 'object', description: 'Arguments, with contents replaced by { sha256, length }.' },
+                            outcome: { type: 'string', enum: ['success', 'error'] },
+                            error: { type: 'string' },
+                            durationMs: { type: 'number' },
+                        },
+                        required: ['timestamp', 'tool', 'paths', 'args', 'outcome'],
                     },
-                    required: ['filePath', 'content'],
                 },
             },
-            {
-                name: 'editFile',
-                description: 'Edits an existing file by replacing a unique string. Fails if the file does not exist or the string is not unique.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file to edit. e.g., "Documents/my_notes.txt".' },
-                        oldContent: { type: 'string', description: 'The unique content to be replaced.' },
-                        newContent: { type: 'string', description: 'The new content to write to the file.' },
+            required: ['entries'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'listRoots',
+        handler: listRoots,
+        operation: 'read',
+        description: 'Lists the root directories the tools may operate in. Paths may be relative to the default root, root-qualified as "name:relative/path", or absolute inside a root.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                roots: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            path: { type: 'string' },
+                            isDefault: { type: 'boolean', description: 'Whether relative paths resolve against this root.' },
+                        },
+                        required: ['name', 'path', 'isDefault'],
                     },
-                    required: ['filePath', 'oldContent', 'newContent'],
                 },
             },
-            {
-                name: 'replaceString',
-                description: 'Replaces all occurrences of a string in a specified file.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
-                        oldString: { type: 'string', description: 'The string to be replaced.' },
-                        newString: { type: 'string', description: 'The string to replace with.' },
-                    },
-                    required: ['filePath', 'oldString', 'newString'],
-                },
+            required: ['roots'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'listFiles',
+        handler: listFiles,
+        operation: 'read',
+        description: 'Lists files and folders in a specified directory relative to your home folder, with each entry\'s type, size, modification time and permissions. Defaults to the home folder. Large directories are paged with a cursor.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'e.g., "Documents" or "Downloads".' },
+                pattern: { type: 'string', description: 'Only list names matching this glob, e.g. "*.txt".' },
+                showHidden: { type: 'boolean', description: 'Include names starting with ".". Default: true.' },
+                sortBy: { type: 'string', enum: ['name', 'size', 'mtime'], description: 'Sort order. Default: name.' },
+                order: { type: 'string', enum: ['asc', 'desc'], description: 'Default: asc.' },
+                limit: { type: 'integer', minimum: 1, description: `Most entries per page. Default: ${DEFAULT_LIST_LIMIT}.` },
+                cursor: { type: 'string', description: 'The nextCursor from the previous page, with the same sortBy and order.' },
             },
-            {
-                name: 'deleteFile',
-                description: 'Deletes a specified file.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file to delete. e.g., "Documents/my_notes.txt".' },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                files: { type: 'array', items: { type: 'string' }, description: 'The names on this page.' },
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'] },
+                            size: { type: 'integer' },
+                            modifiedAt: { type: 'string', format: 'date-time' },
+                            mode: { type: 'string', description: 'Permission bits in octal, e.g. "644".' },
+                        },
+                        required: ['name', 'type', 'size', 'modifiedAt', 'mode'],
                     },
-                    required: ['filePath'],
                 },
+                total: { type: 'integer', description: 'How many entries match, across all pages.' },
+                nextCursor: { type: 'string', description: 'Pass as cursor to get the next page. Absent on the last page.' },
             },
-            {
-                name: 'deleteDirectory',
-                description: 'Deletes a specified directory and its contents recursively.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path to the directory to delete. e.g., "Documents/my_folder".' },
-                    },
-                    required: ['directoryPath'],
-                },
+            required: ['files', 'entries', 'total'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'directoryTree',
+        handler: directoryTree,
+        operation: 'read',
+        description: 'Lists a directory recursively as a nested tree (or indented text) with each entry\'s type, size and modification time. Honors .gitignore and .ignore files and stops after maxEntries entries.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'e.g., "Projects/app". Defaults to the home folder.' },
+                maxDepth: { type: 'integer', minimum: 1, description: 'How many levels to descend; 1 lists only direct children. Default: unlimited.' },
+                include: { type: 'array', items: { type: 'string' }, description: 'Only list files matching one of these globs (e.g. "*.js", "src/**/*.ts"), and the directories containing them.' },
+                exclude: { type: 'array', items: { type: 'string' }, description: 'Skip entries matching these globs (e.g. "dist", "*.log").' },
+                showHidden: { type: 'boolean', description: 'Include entries whose names start with ".". Default: false.' },
+                gitignore: { type: 'boolean', description: 'Skip entries ignored by .gitignore/.ignore files. Default: true.' },
+                maxEntries: { type: 'integer', minimum: 1, description: `Stop after this many entries. Default: ${DEFAULT_TREE_ENTRIES}.` },
+                format: { type: 'string', enum: ['nested', 'text'], description: 'nested (default) returns a tree object; text returns an indented listing.' },
             },
-            {
-                name: 'renameFile',
-                description: 'Renames a specified file.',
-                schema: {
-                    properties: {
-                        oldPath: { type: 'string', description: 'Current path of the file. e.g., "Documents/old_name.txt".' },
-                        newPath: { type: 'string', description: 'New path/name for the file. e.g., "Documents/new_name.txt".' },
-                    },
-                    required: ['oldPath', 'newPath'],
-                },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string', description: 'The indented listing for text format, otherwise a summary.' },
+                tree: { type: 'object', description: 'For nested format: { name, type, size, modifiedAt, children, truncated } per entry.' },
+                entryCount: { type: 'integer' },
+                truncated: { type: 'boolean', description: 'Whether maxEntries cut the listing short.' },
             },
-            {
-                name: 'renameDirectory',
-                description: 'Renames a specified directory.',
-                schema: {
-                    properties: {
-                        oldPath: { type: 'string', description: 'Current path of the directory. e.g., "Documents/old_folder".' },
-                        newPath: { type: 'string', description: 'New path/name for the directory. e.g., "Documents/new_folder".' },
-                    },
-                    required: ['oldPath', 'newPath'],
-                },
+            required: ['content', 'entryCount', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'readFile',
+        handler: readFile,
+        operation: 'read',
+        description: 'Reads the contents of a specified file, or a range of its lines or bytes. Binary files are returned as base64. Large reads are truncated and return a cursor to continue from.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path relative to your home folder. e.g., "Documents/my_notes.txt".' },
+                startLine: { type: 'integer', minimum: 1, description: 'Read whole lines starting at this line (1-based).' },
+                lineCount: { type: 'integer', minimum: 1, description: 'How many lines to read. Defaults to the rest of the file.' },
+                countTotalLines: { type: 'boolean', description: 'For a line read that stops before the end of the file, still scan to the end to report totalLines. Default: false.' },
+                byteOffset: { type: 'integer', minimum: 0, description: 'Instead of lines: the byte to start reading at.' },
+                byteLength: { type: 'integer', minimum: 1, description: 'How many bytes to read. Defaults to the rest of the file.' },
+                cursor: { type: 'string', description: 'The nextCursor from a previous read, to continue where it stopped.' },
+                ...encodingProperties,
+                binary: { type: 'string', enum: ['base64', 'error'], description: 'What to do with a binary file: return it as base64 (default) or fail.' },
             },
-            {
-                name: 'moveFile',
-                description: 'Moves a file from a source to a destination path.',
-                schema: {
-                    properties: {
-                        sourcePath: { type: 'string', description: 'Current path of the file. e.g., "Documents/my_file.txt".' },
-                        destinationPath: { type: 'string', description: 'New path for the file. e.g., "Downloads/my_file.txt".' },
-                    },
-                    required: ['sourcePath', 'destinationPath'],
-                },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string' },
+                encoding: { type: 'string', enum: [...TEXT_ENCODINGS, 'base64'], description: 'The text encoding the content was decoded from, or base64 for binary content.' },
+                bom: { type: 'boolean', description: 'Whether the file starts with a byte order mark (not included in content).' },
+                eol: { type: 'string', enum: ['lf', 'crlf', 'mixed', 'none'], description: 'Line endings of the returned text.' },
+                hash: { type: 'string', description: 'SHA-256 of the file\'s bytes, for expectedHash on later writes. Only present when the whole file was read.' },
+                totalBytes: { type: 'integer' },
+                totalLines: { type: 'integer', description: 'Present for whole text files and for line reads that reached the end of the file or passed countTotalLines.' },
+                startLine: { type: 'integer' },
+                endLine: { type: 'integer' },
+                byteOffset: { type: 'integer' },
+                bytesRead: { type: 'integer' },
+                truncated: { type: 'boolean', description: 'Whether the response limit cut the read short.' },
+                nextCursor: { type: 'string', description: 'Pass as cursor to read what follows. Absent at the end of the file.' },
             },
-            {
-                name: 'moveDirectory',
-                description: 'Moves a directory from a source to a destination path.',
-                schema: {
-                    properties: {
-                        sourcePath: { type: 'string', description: 'Current path of the directory. e.g., "Documents/my_folder".' },
-                        destinationPath: { type: 'string', description: 'New path for the directory. e.g., "Downloads/my_folder".' },
-                    },
-                    required: ['sourcePath', 'destinationPath'],
-                },
+            required: ['content', 'encoding', 'totalBytes', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'createFile',
+        handler: createFile,
+        operation: 'write',
+        description: 'Creates a new file with content. Fails if the file already exists.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path for the new file. e.g., "Desktop/new_file.txt".' },
+                content: { type: 'string', description: 'The content to write into the new file.' },
+                ...newFileEncodingProperties,
+            },
+            required: ['filePath', 'content'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'editFile',
+        handler: editFile,
+        operation: 'write',
+        description: 'Edits an existing file by replacing a unique string. Fails if the file does not exist or the string is not unique, unless occurrence or expectedCount says which matches to replace.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file to edit. e.g., "Documents/my_notes.txt".' },
+                oldContent: { type: 'string', minLength: 1, description: 'The unique content to be replaced. In regex mode, a regular expression.' },
+                newContent: { type: 'string', description: 'The new content to write to the file. In regex mode, $1 or $<name> insert captured groups.' },
+                ...matchModeProperties,
+                occurrence: { type: 'integer', minimum: 1, description: 'Only replace the nth match (1-based).' },
+                expectedCount: { type: 'integer', minimum: 0, description: 'Fail without writing unless exactly this many matches are found.' },
+                ...encodingProperties,
+                ...versionProperties,
             },
-            {
-                name: 'createDirectory',
-                description: 'Creates a new directory.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path for the new directory. e.g., "Desktop/new_folder".' },
+            required: ['filePath', 'oldContent', 'newContent'],
+        },
+        outputSchema: replaceOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'replaceString',
+        handler: replaceString,
+        operation: 'write',
+        description: 'Replaces all occurrences of a string in a specified file.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                oldString: { type: 'string', minLength: 1, description: 'The string to be replaced. In regex mode, a regular expression.' },
+                newString: { type: 'string', description: 'The string to replace with. In regex mode, $1 or $<name> insert captured groups.' },
+                ...matchModeProperties,
+                occurrence: { type: 'integer', minimum: 1, description: 'Only replace the nth match (1-based).' },
+                expectedCount: { type: 'integer', minimum: 0, description: 'Fail without writing unless exactly this many matches are found.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'oldString', 'newString'],
+        },
+        outputSchema: replaceOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'applyEdits',
+        handler: applyEdits,
+        operation: 'write',
+        description: 'Applies several edits to one file in order, each either replacing unique content (like editFile) or a range of lines. If any edit fails, nothing is written. With dryRun, returns the unified diff without writing.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file to edit. e.g., "Documents/my_notes.txt".' },
+                edits: {
+                    type: 'array',
+                    minItems: 1,
+                    description: 'Edits applied in order, each to the result of the previous one.',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            oldContent: { type: 'string', minLength: 1, description: 'The unique content to be replaced.' },
+                            startLine: { type: 'integer', minimum: 1, description: 'Instead of oldContent: the first line to replace (1-based).' },
+                            endLine: { type: 'integer', minimum: 1, description: 'The last line to replace (inclusive). Defaults to startLine.' },
+                            newContent: { type: 'string', description: 'The replacement text. An empty string deletes a line range.' },
+                            ...matchModeProperties,
+                            occurrence: { type: 'integer', minimum: 1, description: 'Only replace the nth match of oldContent (1-based).' },
+                            expectedCount: { type: 'integer', minimum: 0, description: 'Replace all matches of oldContent, failing unless there are exactly this many.' },
+                        },
+                        required: ['newContent'],
                     },
-                    required: ['directoryPath'],
                 },
+                dryRun: { type: 'boolean', description: 'Only return the diff the edits would make. Default: false.' },
+                ...encodingProperties,
+                ...versionProperties,
             },
-            {
-                name: 'getFileInfo',
-                description: 'Gets information about a file (size, creation date, modification date, etc.).',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
-                    },
-                    required: ['filePath'],
+            required: ['filePath', 'edits'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string', description: 'A human-readable summary of what was done.' },
+                diff: { type: 'string', description: 'Unified diff of the changes.' },
+                hash: { type: 'string', description: 'SHA-256 of the file as written or, for a dry run, as it is now (pass it as expectedHash to apply the same edits safely).' },
+            },
+            required: ['content', 'diff', 'hash'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'applyPatch',
+        handler: applyPatch,
+        operation: 'write',
+        description: 'Applies a unified diff that may touch several files, including creating, deleting and renaming files (git-style headers are understood). Either every file is changed or none is. Reports the status of each hunk.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                patch: { type: 'string', minLength: 1, description: 'The unified diff. Paths may carry git\'s a/ and b/ prefixes.' },
+                basePath: { type: 'string', description: 'Directory the paths in the patch are relative to. Defaults to the default root.' },
+                fuzz: { type: 'integer', minimum: 0, maximum: 3, description: 'How many context lines at each end of a hunk may be ignored when it does not match exactly. Default: 0.' },
+                dryRun: { type: 'boolean', description: 'Only report which hunks would apply. Default: false.' },
+                expectedVersions: {
+                    type: 'object',
+                    additionalProperties: { type: 'object', properties: versionProperties, additionalProperties: false },
+                    description: 'Preconditions per file, keyed by its path as written in the patch, e.g. { "src/a.js": { "expectedHash": "..." } }. If any file no longer matches, nothing is changed.',
                 },
             },
-            {
-                name: 'getDirectoryInfo',
-                description: 'Gets information about a directory (number of files and subdirectories).',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path to the directory. e.g., "Documents/my_folder".' },
+            required: ['patch'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string', description: 'A human-readable summary of what was done.' },
+                applied: { type: 'boolean', description: 'Whether files were changed (false for a dry run).' },
+                files: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string' },
+                            action: { type: 'string', enum: ['create', 'delete', 'rename', 'modify'] },
+                            from: { type: 'string', description: 'The old path of a renamed file.' },
+                            hunks: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        hunk: { type: 'integer', description: '1-based position of the hunk in this file\'s diff.' },
+                                        oldStart: { type: 'integer', description: 'The line the hunk says it starts on.' },
+                                        status: { type: 'string', enum: ['applied', 'failed'] },
+                                        line: { type: 'integer', description: 'The line it was applied at.' },
+                                        offset: { type: 'integer', description: 'Lines between where the hunk said it applied and where it did.' },
+                                        fuzz: { type: 'integer', description: 'Context lines ignored at each end to make it match.' },
+                                    },
+                                    required: ['hunk', 'oldStart', 'status'],
+                                },
+                            },
+                        },
+                        required: ['path', 'action', 'hunks'],
                     },
-                    required: ['directoryPath'],
                 },
             },
-            {
-                name: 'appendToFile',
-                description: 'Appends content to the end of a file.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
-                        content: { type: 'string', description: 'The content to append to the file.' },
+            required: ['content', 'applied', 'files'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'deleteFile',
+        handler: deleteFile,
+        operation: 'delete',
+        description: 'Deletes a specified file by moving it to the trash, from where restoreFromTrash can bring it back. Pass permanent: true to delete it for good.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file to delete. e.g., "Documents/my_notes.txt".' },
+                permanent: { type: 'boolean', description: 'Delete immediately instead of moving to the trash. Default: false.' },
+                ...versionProperties,
+            },
+            required: ['filePath'],
+        },
+        outputSchema: deleteOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'deleteDirectory',
+        handler: deleteDirectory,
+        operation: 'delete',
+        description: 'Deletes a specified directory and its contents by moving it to the trash, from where restoreFromTrash can bring it back. Pass permanent: true to delete it for good.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path to the directory to delete. e.g., "Documents/my_folder".' },
+                permanent: { type: 'boolean', description: 'Delete immediately instead of moving to the trash. Default: false.' },
+                ...directoryVersionProperties,
+            },
+            required: ['directoryPath'],
+        },
+        outputSchema: deleteOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'listTrash',
+        handler: listTrash,
+        operation: 'read',
+        description: 'Lists items in the trash that were deleted from inside the allowed roots, newest first.',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', description: 'Pass to restoreFromTrash or emptyTrash.' },
+                            originalPath: { type: 'string' },
+                            deletedAt: { type: 'string', format: 'date-time' },
+                            isDirectory: { type: 'boolean' },
+                            size: { type: 'number', description: 'Total size in bytes.' },
+                        },
+                        required: ['id', 'originalPath', 'deletedAt', 'isDirectory', 'size'],
                     },
-                    required: ['filePath', 'content'],
                 },
             },
-            {
-                name: 'prependToFile',
-                description: 'Prepends content to the beginning of a file.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
-                        content: { type: 'string', description: 'The content to prepend to the file.' },
+            required: ['entries'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'restoreFromTrash',
+        handler: restoreFromTrash,
+        operation: 'write',
+        description: 'Restores an item from the trash to where it was deleted from, or to destinationPath. Fails if something already exists there.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', description: 'The trash id from listTrash or from the delete result.' },
+                destinationPath: { type: 'string', description: 'Where to restore to instead of the original location.' },
+            },
+            required: ['id'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'emptyTrash',
+        handler: emptyTrash,
+        operation: 'delete',
+        description: 'Permanently deletes items from the trash: one item by id, everything older than a number of days, or everything.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', description: 'Only delete this item.' },
+                olderThanDays: { type: 'number', minimum: 0, description: 'Only delete items trashed more than this many days ago.' },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string' },
+                deletedCount: { type: 'integer' },
+            },
+            required: ['content', 'deletedCount'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'renameFile',
+        handler: renameFile,
+        operation: 'write',
+        description: 'Renames a specified file.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                oldPath: { type: 'string', description: 'Current path of the file. e.g., "Documents/old_name.txt".' },
+                newPath: { type: 'string', description: 'New path/name for the file. e.g., "Documents/new_name.txt".' },
+                ...versionProperties,
+            },
+            required: ['oldPath', 'newPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'renameDirectory',
+        handler: renameDirectory,
+        operation: 'write',
+        description: 'Renames a specified directory.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                oldPath: { type: 'string', description: 'Current path of the directory. e.g., "Documents/old_folder".' },
+                newPath: { type: 'string', description: 'New path/name for the directory. e.g., "Documents/new_folder".' },
+                ...directoryVersionProperties,
+            },
+            required: ['oldPath', 'newPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'moveFile',
+        handler: moveFile,
+        operation: 'write',
+        description: 'Moves a file from a source to a destination path.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                sourcePath: { type: 'string', description: 'Current path of the file. e.g., "Documents/my_file.txt".' },
+                destinationPath: { type: 'string', description: 'New path for the file. e.g., "Downloads/my_file.txt".' },
+                ...versionProperties,
+            },
+            required: ['sourcePath', 'destinationPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'moveDirectory',
+        handler: moveDirectory,
+        operation: 'write',
+        description: 'Moves a directory from a source to a destination path.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                sourcePath: { type: 'string', description: 'Current path of the directory. e.g., "Documents/my_folder".' },
+                destinationPath: { type: 'string', description: 'New path for the directory. e.g., "Downloads/my_folder".' },
+                ...directoryVersionProperties,
+            },
+            required: ['sourcePath', 'destinationPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'createDirectory',
+        handler: createDirectory,
+        operation: 'write',
+        description: 'Creates a new directory.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path for the new directory. e.g., "Desktop/new_folder".' },
+            },
+            required: ['directoryPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'getFileInfo',
+        handler: getFileInfo,
+        operation: 'read',
+        description: 'Gets information about a file (size, creation date, modification date, etc.).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+            },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                size: { type: 'number' },
+                createdAt: { type: 'string', format: 'date-time' },
+                modifiedAt: { type: 'string', format: 'date-time' },
+                isDirectory: { type: 'boolean' },
+                isFile: { type: 'boolean' },
+                hash: { type: 'string', description: 'SHA-256 of the file\'s bytes (files only), for expectedHash on later writes.' },
+                encoding: { type: 'string', enum: [...TEXT_ENCODINGS, 'binary'], description: 'Text encoding detected from the start of the file (files only).' },
+                bom: { type: 'boolean', description: 'Whether the file starts with a byte order mark.' },
+                eol: { type: 'string', enum: ['lf', 'crlf', 'mixed', 'none'], description: 'Line endings found at the start of the file.' },
+            },
+            required: ['size', 'createdAt', 'modifiedAt', 'isDirectory', 'isFile'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'getDirectoryInfo',
+        handler: getDirectoryInfo,
+        operation: 'read',
+        description: 'Gets information about a directory (number of files and subdirectories).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path to the directory. e.g., "Documents/my_folder".' },
+            },
+            required: ['directoryPath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                isDirectory: { type: 'boolean' },
+                fileCount: { type: 'integer' },
+                directoryCount: { type: 'integer' },
+            },
+            required: ['isDirectory', 'fileCount', 'directoryCount'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'appendToFile',
+        handler: appendToFile,
+        operation: 'write',
+        description: 'Appends content to the end of a file.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                content: { type: 'string', description: 'The content to append to the file.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'content'],
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'prependToFile',
+        handler: prependToFile,
+        operation: 'write',
+        description: 'Prepends content to the beginning of a file.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                content: { type: 'string', description: 'The content to prepend to the file.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'content'],
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'insertAtLine',
+        handler: insertAtLine,
+        operation: 'write',
+        description: 'Inserts content before or after a given line of a file, using the file\'s line endings.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                line: { type: 'integer', minimum: 1, description: 'The line to insert next to (1-based). Use the line count + 1 with position "before" to append.' },
+                position: { type: 'string', enum: ['before', 'after'], description: 'Insert before (default) or after the line.' },
+                content: { type: 'string', description: 'The lines to insert.' },
+                expectedContent: { type: 'string', description: 'Only insert if the line currently reads this; catches stale line numbers.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'line', 'content'],
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'replaceLines',
+        handler: replaceLines,
+        operation: 'write',
+        description: 'Replaces an inclusive range of lines of a file, using the file\'s line endings.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                startLine: { type: 'integer', minimum: 1, description: 'The first line to replace (1-based).' },
+                endLine: { type: 'integer', minimum: 1, description: 'The last line to replace (inclusive).' },
+                content: { type: 'string', description: 'The replacement lines.' },
+                expectedContent: { type: 'string', description: 'Only replace if the lines currently read this; catches stale line numbers.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'startLine', 'endLine', 'content'],
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'deleteLines',
+        handler: deleteLines,
+        operation: 'write',
+        description: 'Deletes an inclusive range of lines from a file.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                startLine: { type: 'integer', minimum: 1, description: 'The first line to delete (1-based).' },
+                endLine: { type: 'integer', minimum: 1, description: 'The last line to delete (inclusive). Defaults to startLine.' },
+                expectedContent: { type: 'string', description: 'Only delete if the lines currently read this; catches stale line numbers.' },
+                ...encodingProperties,
+                ...versionProperties,
+            },
+            required: ['filePath', 'startLine'],
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'convertFile',
+        handler: convertFile,
+        operation: 'write',
+        description: 'Re-encodes a text file and/or normalizes its line endings, e.g. to UTF-8 with LF.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                encoding: { type: 'string', enum: TEXT_ENCODINGS, description: 'Encoding to convert to. Defaults to the current one.' },
+                bom: { type: 'boolean', description: 'Whether the result starts with a byte order mark. Default: kept as is, or when changing encoding, only for UTF-16.' },
+                eol: { type: 'string', enum: ['lf', 'crlf'], description: 'Convert every line ending to this. Default: leave line endings alone.' },
+                sourceEncoding: { type: 'string', enum: TEXT_ENCODINGS, description: 'The file\'s current encoding, if detection gets it wrong.' },
+                ...versionProperties,
+            },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                ...writeOutputSchema.properties,
+                encoding: { type: 'string', enum: TEXT_ENCODINGS },
+                bom: { type: 'boolean' },
+                eol: { type: 'string', enum: ['lf', 'crlf', 'mixed', 'none'] },
+            },
+            required: ['content', 'hash', 'encoding', 'bom', 'eol'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'searchInFile',
+        handler: searchInFile,
+        operation: 'read',
+        description: 'Searches for a string or pattern within a file and returns matching lines.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
+                pattern: { type: 'string', description: 'The text to search for, or a regular expression in regex mode.' },
+                ...encodingProperties,
+                ...matchModeProperties,
+            },
+            required: ['filePath', 'pattern'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { lineNumber: { type: 'integer' }, lineContent: { type: 'string' } },
+                        required: ['lineNumber', 'lineContent'],
                     },
-                    required: ['filePath', 'content'],
                 },
             },
-            {
-                name: 'searchInFile',
-                description: 'Searches for a string or pattern within a file and returns matching lines.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file. e.g., "Documents/my_notes.txt".' },
-                        pattern: { type: 'string', description: 'The string or regex pattern to search for.' },
-                    },
-                    required: ['filePath', 'pattern'],
+            required: ['content'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'searchContent',
+        handler: searchContent,
+        operation: 'read',
+        description: 'Searches the text files below a directory for a string or pattern, like grep, or for a query of words and phrases, and returns each match with its file, line, column and optional context lines. Honors .gitignore and skips binary files. Queries use the index from buildIndex when there is one.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'The directory to search. Defaults to the home folder.' },
+                pattern: { type: 'string', minLength: 1, description: 'The text to search for, or a regular expression in regex mode. Matched line by line.' },
+                query: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Instead of a pattern, whole words to find anywhere in a file, e.g. \'config "load order" -test\'. Terms are ANDed; use OR between alternatives, "quotes" for phrases, - or NOT to exclude and a trailing * for prefixes. Always case-insensitive.',
                 },
+                useIndex: { type: 'boolean', description: 'For a query, use the index built by buildIndex for this directory or one above it, if any. Default: true.' },
+                ...matchModeProperties,
+                caseInsensitive: { type: 'boolean', description: 'Ignore case, in either mode. Default: false.' },
+                include: { type: 'array', items: { type: 'string' }, description: 'Only search files matching one of these globs, e.g. "*.js".' },
+                exclude: { type: 'array', items: { type: 'string' }, description: 'Skip files and directories matching these globs, e.g. "dist".' },
+                showHidden: { type: 'boolean', description: 'Also search entries whose names start with ".". Default: false.' },
+                gitignore: { type: 'boolean', description: 'Skip entries ignored by .gitignore/.ignore files. Default: true.' },
+                contextLines: { type: 'integer', minimum: 0, maximum: 10, description: 'Lines of context to return before and after each match. Default: 0.' },
+                maxMatches: { type: 'integer', minimum: 1, maximum: 1000, description: `Most matches to return. Default: ${DEFAULT_SEARCH_MATCHES}.` },
+                cursor: { type: 'string', description: 'The nextCursor from a previous search with the same options, to get the following matches.' },
             },
-            {
-                name: 'zipDirectory',
-                description: 'Compresses a directory into a zip file. Requires `archiver` and `fs-extra` packages.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path to the directory to zip. e.g., "Documents/my_folder".' },
-                        outputPath: { type: 'string', description: 'Path for the output zip file. e.g., "Documents/my_folder.zip".' },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                matches: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string' },
+                            line: { type: 'integer' },
+                            column: { type: 'integer', description: '1-based, in characters.' },
+                            lineContent: { type: 'string', description: 'The matching line; very long lines are clipped around the match.' },
+                            before: { type: 'array', items: { type: 'string' } },
+                            after: { type: 'array', items: { type: 'string' } },
+                        },
+                        required: ['path', 'line', 'column', 'lineContent'],
                     },
-                    required: ['directoryPath', 'outputPath'],
                 },
+                filesSearched: { type: 'integer', description: 'The files read.' },
+                indexUsed: { type: ['string', 'null'], description: 'For a query, the indexed directory whose index was used.' },
+                filesSkippedByIndex: { type: 'integer', description: 'Files the index showed could not match, so they were not read.' },
+                truncated: { type: 'boolean', description: 'Whether maxMatches cut the results short.' },
+                nextCursor: { type: 'string', description: 'Pass as cursor to get the following matches.' },
+            },
+            required: ['matches', 'filesSearched', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'buildIndex',
+        handler: buildIndex,
+        operation: 'write',
+        description: 'Builds or updates a full-text index of the text files below a directory, kept in the server data directory, so searchContent queries there skip files that cannot match. Updating re-reads only files whose size or modification time changed.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'The directory to index. Defaults to the home folder.' },
+                include: { type: 'array', items: { type: 'string' }, description: 'Only index files matching one of these globs, e.g. "*.md".' },
+                exclude: { type: 'array', items: { type: 'string' }, description: 'Skip files and directories matching these globs, e.g. "node_modules".' },
+                showHidden: { type: 'boolean', description: 'Also index entries whose names start with ".". Default: false.' },
+                gitignore: { type: 'boolean', description: 'Skip entries ignored by .gitignore/.ignore files. Default: true.' },
+                rebuild: { type: 'boolean', description: 'Re-read every file instead of updating the existing index. Default: false.' },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string' },
+                ...indexProperties,
+                added: { type: 'integer' },
+                updated: { type: 'integer' },
+                unchanged: { type: 'integer' },
+                removed: { type: 'integer' },
+                skipped: { type: 'integer', description: `Binary, unreadable or over ${INDEX_MAX_FILE_BYTES / 1024 / 1024} MiB files, which are not indexed.` },
             },
-            {
-                name: 'unzipFile',
-                description: 'Extracts the contents of a zip file. Requires `yauzl` and `fs-extra` packages.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the zip file. e.g., "Documents/my_archive.zip".' },
-                        destinationPath: { type: 'string', description: 'Path for the extraction destination. e.g., "Documents/extracted_folder".' },
+            required: ['content', 'directory', 'files', 'added', 'updated', 'unchanged', 'removed', 'skipped'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'indexStatus',
+        handler: indexStatus,
+        operation: 'read',
+        description: 'Lists the full-text indexes, or for one directory reports how many files changed, appeared or disappeared since its index was built.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'The indexed directory to check. Omit to list every index.' },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                indexes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ...indexProperties,
+                            changed: { type: 'integer' },
+                            unindexed: { type: 'integer', description: 'Files not in the index, including skipped ones.' },
+                            removed: { type: 'integer' },
+                            upToDate: { type: 'boolean' },
+                        },
+                        required: ['directory', 'files'],
                     },
-                    required: ['filePath', 'destinationPath'],
                 },
             },
-            {
-                name: 'changePermissions',
-                description: 'Changes the permissions of a file or directory. Requires an octal permission mode (e.g., 0o755 for rwxr-xr-x).',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path to the file or directory. e.g., "Documents/my_file.txt".' },
-                        mode: { type: 'number', description: 'The octal permission mode (e.g., 0o755 for rwxr-xr-x).', format: 'int32' },
-                    },
-                    required: ['filePath', 'mode'],
+            required: ['indexes'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'dropIndex',
+        handler: dropIndex,
+        operation: 'delete',
+        description: 'Deletes the full-text index of a directory. Its files are not touched.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'The indexed directory. Defaults to the home folder.' },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: { content: { type: 'string' } },
+            required: ['content'],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'headFile',
+        handler: headFile,
+        operation: 'read',
+        description: 'Returns the first lines of a text file without reading the rest of it.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "logs/build.log".' },
+                lines: { type: 'integer', minimum: 1, description: 'How many lines to return. Defaults to 10.' },
+            },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string' },
+                totalBytes: { type: 'integer' },
+                truncated: { type: 'boolean', description: 'Whether the response limit cut the lines short.' },
+            },
+            required: ['content', 'totalBytes', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'tailFile',
+        handler: tailFile,
+        operation: 'read',
+        description: 'Returns the last lines of a text file, reading backwards from the end so large logs stay cheap. With follow, keeps waiting for new lines (sent as progress notifications when the request has a progressToken) until untilPattern matches a line or timeoutMs passes.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file. e.g., "logs/build.log".' },
+                lines: { type: 'integer', minimum: 0, description: 'How many lines to return. Defaults to 10.' },
+                follow: { type: 'boolean', description: 'Keep returning lines appended to the file. Default: false.' },
+                timeoutMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'How long to follow the file. Defaults to 30000.' },
+                untilPattern: { type: 'string', description: 'Stop following once an appended line contains this text (or matches it, in regex mode).' },
+                ...matchModeProperties,
+            },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string', description: 'The last lines when the call started.' },
+                totalBytes: { type: 'integer', description: 'The size of the file when the call finished.' },
+                truncated: { type: 'boolean', description: 'Whether the response limit cut the output short.' },
+                appended: { type: 'string', description: 'With follow: the complete lines appended while following.' },
+                stoppedBy: { type: 'string', enum: ['pattern', 'timeout', 'cancelled'], description: 'With follow: why following stopped.' },
+                matchedLine: { type: 'string', description: 'The line that matched untilPattern.' },
+            },
+            required: ['content', 'totalBytes', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'watchPath',
+        handler: watchPath,
+        operation: 'read',
+        description: 'Watches a file or directory for the rest of the session and sends changes to the client as notifications/fs/changed notifications, with params { watchId, path, events: [{ type: create|modify|delete|rename, path, entryType, oldPath? }] }. Bursts of changes are coalesced into one notification. Only works in server mode; stop it with unwatchPath.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'The file or directory to watch, e.g. "Downloads".' },
+                recursive: { type: 'boolean', description: 'Also watch everything below the directory, not just its direct entries. Default: false.' },
+                include: { type: 'array', items: { type: 'string' }, description: 'Only report changes to paths matching one of these globs, e.g. "*.pdf".' },
+                exclude: { type: 'array', items: { type: 'string' }, description: 'Ignore paths matching these globs, e.g. "node_modules".' },
+                showHidden: { type: 'boolean', description: 'Also report entries whose names start with ".". Default: false.' },
+                debounceMs: { type: 'integer', minimum: 0, maximum: 10000, description: `Wait this long for changes to stop before notifying. Default: ${DEFAULT_WATCH_DEBOUNCE_MS}.` },
+                mode: { type: 'string', enum: ['native', 'poll'], description: 'native uses fs.watch, falling back to polling where it is not available; poll always polls, e.g. for network drives. Default: native.' },
+                pollIntervalMs: { type: 'integer', minimum: 100, maximum: 600000, description: `How often to rescan when polling. Default: ${DEFAULT_WATCH_POLL_MS}.` },
+            },
+            required: ['path'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: { type: 'string' },
+                watchId: { type: 'string', description: 'Pass to unwatchPath; also identifies this watch\'s notifications.' },
+                path: { type: 'string' },
+                mode: { type: 'string', enum: ['native', 'poll'] },
+                entries: { type: 'integer', description: 'How many entries are being watched.' },
+            },
+            required: ['content', 'watchId', 'path', 'mode'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'unwatchPath',
+        handler: unwatchPath,
+        operation: 'read',
+        description: 'Stops a watch started with watchPath. Watches also stop when the session ends.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                watchId: { type: 'string', description: 'The watchId returned by watchPath.' },
+            },
+            required: ['watchId'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: { content: { type: 'string' } },
+            required: ['content'],
+        },
+        annotations: { readOnlyHint: true, idempotentHint: false, openWorldHint: false },
+    },
+    {
+        name: 'waitForFile',
+        handler: waitForFile,
+        operation: 'read',
+        description: 'Waits until a path exists, or a file matching a glob appears in a directory, optionally until it has stopped changing (e.g. a download or build output being written). Returns found: false at the timeout.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'The path to wait for, or with pattern the directory to look in.' },
+                pattern: { type: 'string', minLength: 1, description: 'Wait for a file in the directory matching this glob, e.g. "report-*.pdf".' },
+                recursive: { type: 'boolean', description: 'With pattern, also look in subdirectories. Default: false.' },
+                stableMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'Also wait until the file\'s size and modification time have not changed for this long. Default: 0.' },
+                timeoutMs: { type: 'integer', minimum: 0, maximum: 3600000, description: `Give up after this long. Default: ${DEFAULT_WAIT_TIMEOUT_MS}.` },
+            },
+            required: ['path'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                found: { type: 'boolean' },
+                stoppedBy: { type: 'string', enum: ['found', 'timeout', 'cancelled'] },
+                path: { type: 'string' },
+                type: { type: 'string', enum: ['file', 'directory'] },
+                size: { type: 'integer' },
+                modifiedAt: { type: 'string' },
+                waitedMs: { type: 'integer' },
+            },
+            required: ['found', 'stoppedBy', 'waitedMs'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'diffFiles',
+        handler: diffFiles,
+        operation: 'read',
+        description: 'Compares a file with another file, or with proposed content, and returns a unified or side-by-side diff with a count of added and removed lines.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'The original file. e.g., "Documents/old.txt".' },
+                otherPath: { type: 'string', description: 'The file to compare it with. e.g., "Documents/new.txt".' },
+                content: { type: 'string', description: 'Instead of otherPath: proposed new content for the file.' },
+                format: { type: 'string', enum: ['unified', 'side-by-side'], description: 'Default: unified.' },
+                contextLines: { type: 'integer', minimum: 0, description: 'Unchanged lines shown around each change. Default: 3.' },
+                ignoreWhitespace: { type: 'boolean', description: 'Ignore whitespace at the start and end of lines. Default: false.' },
+                ignoreLineEndings: { type: 'boolean', description: 'Treat CRLF and LF as equal and ignore a missing newline at the end. Default: false.' },
+            },
+            required: ['filePath'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                diff: { type: 'string', description: 'The diff, empty if the inputs are identical.' },
+                identical: { type: 'boolean' },
+                summary: {
+                    type: 'object',
+                    properties: { added: { type: 'integer' }, removed: { type: 'integer' } },
+                    required: ['added', 'removed'],
                 },
             },
-            {
-                name: 'listRecentFiles',
-                description: 'Lists the most recently modified files in a directory.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path to the directory. Defaults to the home folder.' },
-                        limit: { type: 'number', description: 'Maximum number of files to return. Defaults to 10.', format: 'int32' },
+            required: ['diff', 'identical', 'summary'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'zipDirectory',
+        handler: zipDirectory,
+        operation: 'archive',
+        description: 'Compresses a directory into a zip file. Requires `archiver` and `fs-extra` packages.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path to the directory to zip. e.g., "Documents/my_folder".' },
+                outputPath: { type: 'string', description: 'Path for the output zip file. e.g., "Documents/my_folder.zip".' },
+            },
+            required: ['directoryPath', 'outputPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'unzipFile',
+        handler: unzipFile,
+        operation: 'archive',
+        description: 'Extracts the contents of a zip file. Requires `yauzl` and `fs-extra` packages.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the zip file. e.g., "Documents/my_archive.zip".' },
+                destinationPath: { type: 'string', description: 'Path for the extraction destination. e.g., "Documents/extracted_folder".' },
+            },
+            required: ['filePath', 'destinationPath'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'changePermissions',
+        handler: changePermissions,
+        operation: 'write',
+        description: 'Changes the permissions of a file or directory. Requires an octal permission mode (e.g., 0o755 for rwxr-xr-x).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path to the file or directory. e.g., "Documents/my_file.txt".' },
+                mode: { type: 'integer', description: 'The octal permission mode (e.g., 0o755 for rwxr-xr-x).', minimum: 0 },
+                ...versionProperties,
+            },
+            required: ['filePath', 'mode'],
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'listRecentFiles',
+        handler: listRecentFiles,
+        operation: 'read',
+        description: 'Lists the most recently modified files in a directory.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path to the directory. Defaults to the home folder.' },
+                limit: { type: 'integer', description: 'Maximum number of files to return. Defaults to 10.', minimum: 1 },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            modifiedAt: { type: 'number', description: 'Modification time in milliseconds since the epoch.' },
+                        },
+                        required: ['name', 'modifiedAt'],
                     },
                 },
             },
-            {
-                name: 'searchFiles',
-                description: 'Searches for files based on their name, size, or modification date.',
-                schema: {
-                    properties: {
-                        directoryPath: { type: 'string', description: 'Path to the directory to search within. Defaults to the home folder.' },
-                        fileNamePattern: { type: 'string', description: 'Regex pattern to match file names.' },
-                        minSize: { type: 'number', description: 'Minimum file size in bytes.', format: 'int32' },
-                        maxSize: { type: 'number', description: 'Maximum file size in bytes.', format: 'int32' },
-                        modifiedSince: { type: 'number', description: 'Timestamp (milliseconds) to find files modified after.', format: 'int64' },
-                    },
+            required: ['content'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'searchFiles',
+        handler: searchFiles,
+        operation: 'read',
+        description: 'Searches a directory tree for files (or directories) by glob, name pattern, size or modification date, with sorting and pagination.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                directoryPath: { type: 'string', description: 'Path to the directory to search within. Defaults to the home folder.' },
+                glob: {
+                    type: ['string', 'array'],
+                    items: { type: 'string' },
+                    description: 'Glob(s) matched against the path relative to directoryPath, e.g. "**/*.ts". A glob without "/" matches names at any depth.',
                 },
+                fileNamePattern: { type: 'string', description: 'Regex pattern to match file names.' },
+                caseInsensitive: { type: 'boolean', description: 'Match glob and fileNamePattern ignoring case. Default: false.' },
+                type: { type: 'string', enum: ['file', 'directory', 'symlink', 'any'], description: 'What to find. Default: file.' },
+                minSize: { type: 'number', description: 'Minimum file size in bytes.', minimum: 0 },
+                maxSize: { type: 'number', description: 'Maximum file size in bytes.', minimum: 0 },
+                modifiedSince: { type: ['number', 'string'], description: 'Only entries modified at or after this time (milliseconds or ISO 8601).' },
+                modifiedBefore: { type: ['number', 'string'], description: 'Only entries modified before this time (milliseconds or ISO 8601).' },
+                maxDepth: { type: 'integer', minimum: 1, description: 'How many levels to descend; 1 searches only direct children. Default: unlimited.' },
+                exclude: { type: 'array', items: { type: 'string' }, description: 'Skip entries matching these globs, e.g. "node_modules".' },
+                showHidden: { type: 'boolean', description: 'Include entries whose names start with ".". Default: false.' },
+                gitignore: { type: 'boolean', description: 'Skip entries ignored by .gitignore/.ignore files. Default: true.' },
+                sortBy: { type: 'string', enum: ['path', 'name', 'size', 'mtime'], description: 'Sort order. Default: path.' },
+                order: { type: 'string', enum: ['asc', 'desc'], description: 'Default: asc.' },
+                limit: { type: 'integer', minimum: 1, description: `Most results per page. Default: ${DEFAULT_SEARCH_FILES_LIMIT}.` },
+                cursor: { type: 'string', description: 'The nextCursor from the previous page, with the same options.' },
+                scanLimit: { type: 'integer', minimum: 1, maximum: SEARCH_FILES_MAX_SCANNED, description: `Stop after examining this many entries. Default and maximum: ${SEARCH_FILES_MAX_SCANNED}.` },
             },
-            {
-                name: 'saveContentToFile',
-                description: 'Saves provided content to a specified file. Can be used to store results from other MCPs.',
-                schema: {
-                    properties: {
-                        filePath: { type: 'string', description: 'Path for the file. e.g., "Desktop/data.txt".' },
-                        content: { type: 'string', description: 'The content to write into the file.' },
-                        overwrite: { type: 'boolean', description: 'Whether to overwrite if the file exists. Default: false.' }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            path: { type: 'string' },
+                            relativePath: { type: 'string', description: 'Relative to directoryPath, with "/" separators.' },
+                            type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'] },
+                            size: { type: 'number' },
+                            modifiedAt: { type: 'string', format: 'date-time' },
+                        },
+                        required: ['name', 'path', 'size', 'modifiedAt'],
                     },
-                    required: ['filePath', 'content']
                 },
+                total: { type: 'integer', description: 'How many entries match, across all pages.' },
+                truncated: { type: 'boolean', description: 'Whether the search stopped at scanLimit, so total, sorting and pages only cover the entries examined until then.' },
+                nextCursor: { type: 'string', description: 'Pass as cursor to get the next page. Absent on the last page.' },
             },
-            {
-                name: 'exportContent',
-                description: 'Exports user-specified text or file as markdown or PDF.',
-                schema: {
-                    properties: {
-                        sourceType: { type: 'string', description: '"text" or "file"' },
-                        source: { type: 'string', description: 'Raw text or file path (relative to home)' },
-                        format: { type: 'string', description: '"md" or "pdf"' },
-                        outputPath: { type: 'string', description: 'Output file path (relative to home)' }
+            required: ['content', 'total', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'findFile',
+        handler: findFile,
+        operation: 'read',
+        description: 'Finds files by a fuzzy query, like an editor\'s quick-open: matches the words of the query against paths across a directory tree and returns the best matches, ranked with a boost for file-name matches and recently modified files.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'Words to look for, in any order and with typos allowed, e.g. "tax spreadsheet".' },
+                directoryPath: { type: 'string', description: 'The directory to search. Defaults to the home folder.' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, description: `How many results to return. Default: ${DEFAULT_FIND_RESULTS}.` },
+                threshold: { type: 'number', minimum: 0, maximum: 1, description: 'Minimum match score (0-1) for a file to be considered. Default: 0.6.' },
+                maxDepth: { type: 'integer', minimum: 1, description: 'How many levels to descend. Default: unlimited.' },
+                exclude: { type: 'array', items: { type: 'string' }, description: `Globs to skip, besides ${FIND_EXCLUDES.join(', ')}.` },
+                showHidden: { type: 'boolean', description: 'Include entries whose names start with ".". Default: false.' },
+                gitignore: { type: 'boolean', description: 'Skip entries ignored by .gitignore/.ignore files. Default: true.' },
+            },
+            required: ['query'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                results: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string' },
+                            relativePath: { type: 'string' },
+                            score: { type: 'number', description: 'Overall rank, including the file-name and recency boosts.' },
+                            matchScore: { type: 'number', description: 'How well the query matched the path or name alone (0-1).' },
+                            modifiedAt: { type: 'string', format: 'date-time' },
+                        },
+                        required: ['path', 'relativePath', 'score', 'matchScore', 'modifiedAt'],
                     },
-                    required: ['sourceType', 'source', 'format', 'outputPath']
                 },
+                scanned: { type: 'integer', description: 'How many files were considered.' },
+                truncated: { type: 'boolean', description: `Whether the search stopped after ${FIND_MAX_CANDIDATES} files.` },
+            },
+            required: ['results', 'scanned', 'truncated'],
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    {
+        name: 'saveContentToFile',
+        handler: saveContentToFile,
+        operation: 'write',
+        description: 'Saves provided content to a specified file. Can be used to store results from other MCPs.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: { type: 'string', description: 'Path for the file. e.g., "Desktop/data.txt".' },
+                content: { type: 'string', description: 'The content to write into the file.' },
+                overwrite: { type: 'boolean', description: 'Whether to overwrite if the file exists. Default: false.' },
+                ...newFileEncodingProperties,
+                ...versionProperties,
             },
-        ],
+            required: ['filePath', 'content']
+        },
+        outputSchema: writeOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+    {
+        name: 'exportContent',
+        handler: exportContent,
+        operation: 'export',
+        description: 'Exports user-specified text or file as markdown or PDF.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                sourceType: { type: 'string', enum: ['text', 'file'], description: 'Whether source is raw text or a file path.' },
+                source: { type: 'string', description: 'Raw text or file path (relative to home)' },
+                format: { type: 'string', enum: ['md', 'pdf'], description: 'Output format.' },
+                outputPath: { type: 'string', description: 'Output file path (relative to home)' },
+                ...versionProperties,
+            },
+            required: ['sourceType', 'source', 'format', 'outputPath']
+        },
+        outputSchema: messageOutputSchema,
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    },
+];
+
+const toolsByName = new Map(toolRegistry.map((tool) => [tool.name, tool]));
+
+/**
+ * In read-only mode only tools whose operation is "read" are listed or callable.
+ */
+function isToolEnabled(tool) {
+    return !config.readOnly || tool.operation === 'read';
+}
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+const argumentValidators = new Map();
+
+/**
+ * Turn Ajv errors into one readable, field-level message.
+ */
+function formatValidationErrors(errors) {
+    return errors.map((error) => {
+        if (error.keyword === 'required') {
+            return `Missing required argument: ${error.params.missingProperty}`;
+        }
+        const field = error.instancePath.slice(1).replace(/\//g, '.') || 'arguments';
+        if (error.keyword === 'enum') {
+            return `Invalid ${field}: must be one of ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+        }
+        return `Invalid ${field}: ${error.message}`;
+    }).join('; ');
+}
+
+/**
+ * Validate args against the tool's schema, throwing a field-level error on mismatch.
+ */
+function validateToolArguments(tool, args) {
+    let validate = argumentValidators.get(tool.name);
+    if (!validate) {
+        validate = ajv.compile(tool.inputSchema);
+        argumentValidators.set(tool.name, validate);
+    }
+    if (!validate(args)) {
+        throw new Error(formatValidationErrors(validate.errors));
+    }
+}
+
+// --- Tool Definition (for Gemini CLI) ---
+
+function getToolDefinition() {
+    return {
+        name: packageInfo.name,
+        description: 'File system operations limited to a set of allowed root directories (see listRoots). Relative paths resolve against the default root.',
+        tools: toolRegistry.filter(isToolEnabled).map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            outputSchema: tool.outputSchema,
+            annotations: tool.annotations,
+        })),
+    };
+}
+
+// --- Tool Dispatch ---
+
+/**
+ * Look up a tool in the registry, validate its arguments and run it. `context` is passed to the
+ * handler: `signal` (an AbortSignal for cancellation), `sendProgress(progress, message)`
+ * for tools that report progress while they run and, in an MCP session, `watches` and
+ * `notify(method, params)` for watchPath.
+ */
+async function callTool(toolName, args = {}, context = {}) {
+    const tool = toolsByName.get(toolName);
+    if (!tool) {
+        throw new Error(`Unknown tool: ${toolName}`);
+    }
+    if (!isToolEnabled(tool)) {
+        throw new Error(`Tool ${toolName} is not available in read-only mode.`);
+    }
+    validateToolArguments(tool, args);
+    if (tool.operation !== 'read') {
+        return runAudited(tool, args, context);
+    }
+    return tool.handler(args, context);
+}
+
+// --- MCP Server ---
+
+/**
+ * Ask the client for its roots and restrict the tools to them (see setClientRoots).
+ */
+async function refreshClientRoots(server) {
+    const { roots } = await server.listRoots();
+    setClientRoots(roots
+        .filter((root) => root.uri.startsWith('file://'))
+        .map((root) => ({ name: root.name, path: url.fileURLToPath(root.uri) })));
+}
+
+/**
+ * Build an MCP server that exposes every tool in the registry.
+ * The returned server is not connected; pass it a transport with server.connect().
+ * With `useClientRoots`, the client's MCP roots narrow the allowed roots for the whole
+ * process, so only enable it when the server has a single client (stdio).
+ */
+function createMcpServer(options = {}) {
+    const definition = getToolDefinition();
+    const server = new Server(
+        { name: definition.name, version: packageInfo.version },
+        { capabilities: { tools: {} }, instructions: definition.description }
+    );
+
+    if (options.useClientRoots) {
+        const syncRoots = () => refreshClientRoots(server).catch((error) => {
+            console.error(`Could not read client roots: ${error.message}`);
+        });
+        server.oninitialized = () => {
+            if (server.getClientCapabilities().roots) {
+                syncRoots();
+            }
+        };
+        server.setNotificationHandler(RootsListChangedNotificationSchema, syncRoots);
+    }
+
+    // Watches belong to the session that started them.
+    const watches = new Map();
+    server.onclose = () => {
+        stopWatches(watches);
+        if (options.useClientRoots) {
+            setClientRoots([]);
+        }
     };
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: getToolDefinition().tools }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        const { name, arguments: args } = request.params;
+        if (!toolsByName.has(name) || !isToolEnabled(toolsByName.get(name))) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+        }
+        const progressToken = request.params._meta && request.params._meta.progressToken;
+        const context = {
+            signal: extra.signal,
+            watches,
+            notify: (method, params) => server.notification({ method, params }),
+        };
+        if (progressToken !== undefined) {
+            context.sendProgress = (progress, message) => extra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress, message },
+            });
+        }
+        try {
+            const result = await callTool(name, args || {}, context);
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                structuredContent: result,
+            };
+        } catch (error) {
+            return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+    });
+
+    return server;
+}
+
+/**
+ * Serve the tools over stdin/stdout until the client disconnects.
+ */
+async function startStdioServer() {
+    const server = createMcpServer({ useClientRoots: true });
+    await server.connect(new StdioServerTransport());
+    return server;
+}
+
+/**
+ * Check a request's `Authorization: Bearer <token>` header in constant time.
+ */
+function hasValidBearerToken(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+        return false;
+    }
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(match[1]);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function sendHttpError(res, statusCode, message, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const SESSION_REAP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Serve the tools over MCP streamable HTTP (POST for requests, GET for the SSE stream,
+ * DELETE to end a session) at /mcp. Every session gets its own MCP server instance
+ * backed by the same tool functions. Requests must carry the bearer token. Sessions
+ * with no open request for `sessionIdleMs` are closed, since clients that crash or
+ * lose their connection never send the DELETE.
+ * Resolves with the listening http.Server.
+ */
+async function startHttpServer(options = {}) {
+    const host = options.host || process.env.FS_MCP_HOST || '127.0.0.1';
+    const port = options.port !== undefined ? options.port : Number(process.env.FS_MCP_PORT || 3000);
+    const token = options.token || process.env.FS_MCP_TOKEN;
+    if (!token) {
+        throw new Error('A bearer token is required. Set FS_MCP_TOKEN or pass --token.');
+    }
+    const sessionIdleMs = options.sessionIdleMs !== undefined
+        ? options.sessionIdleMs
+        : Number(process.env.FS_MCP_SESSION_IDLE_MS || DEFAULT_SESSION_IDLE_MS);
+    // Session id -> { transport, openRequests, lastActivity }.
+    const sessions = new Map();
+
+    const httpServer = http.createServer(async (req, res) => {
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (pathname !== '/mcp') {
+                sendHttpError(res, 404, 'Not found');
+                return;
+            }
+            if (!hasValidBearerToken(req, token)) {
+                sendHttpError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+                return;
+            }
+            const sessionId = req.headers['mcp-session-id'];
+            if (sessionId) {
+                const session = sessions.get(sessionId);
+                if (!session) {
+                    sendHttpError(res, 404, 'Session not found');
+                    return;
+                }
+                // An open SSE stream keeps the session alive; the idle time starts when it ends.
+                session.openRequests++;
+                session.lastActivity = Date.now();
+                res.once('close', () => {
+                    session.openRequests--;
+                    session.lastActivity = Date.now();
+                });
+                await session.transport.handleRequest(req, res);
+                return;
+            }
+            if (req.method !== 'POST') {
+                sendHttpError(res, 400, 'Missing Mcp-Session-Id header');
+                return;
+            }
+            // A POST without a session starts a new one; the transport rejects anything but initialize.
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => crypto.randomUUID(),
+                onsessioninitialized: (id) => sessions.set(id, { transport, openRequests: 0, lastActivity: Date.now() }),
+            });
+            // The MCP server chains its own onclose (which stops the session's watches) after this one.
+            transport.onclose = () => {
+                if (transport.sessionId) {
+                    sessions.delete(transport.sessionId);
+                }
+            };
+            await createMcpServer().connect(transport);
+            await transport.handleRequest(req, res);
+        } catch (error) {
+            if (!res.headersSent) {
+                sendHttpError(res, 500, error.message);
+            } else {
+                res.end();
+            }
+        }
+    });
+
+    const reaper = setInterval(() => {
+        const cutoff = Date.now() - sessionIdleMs;
+        for (const session of sessions.values()) {
+            if (session.openRequests === 0 && session.lastActivity <= cutoff) {
+                session.transport.close();
+            }
+        }
+    }, Math.min(sessionIdleMs, SESSION_REAP_INTERVAL_MS));
+    reaper.unref();
+
+    httpServer.on('close', () => {
+        clearInterval(reaper);
+        for (const session of sessions.values()) {
+            session.transport.close();
+        }
+        sessions.clear();
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+    return httpServer;
+}
+
+/**
+ * Parse server mode flags: `--name value`, `--name=value` or a bare `--name` switch.
+ */
+function parseServerOptions(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            continue;
+        }
+        if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[match[1]] = argv[++i];
+        } else {
+            options[match[1]] = true;
+        }
+    }
+    return options;
 }
 
 // --- Main Entrypoint ---
@@ -669,37 +5380,34 @@ function getToolDefinition() {
 async function main() {
     if (require.main === module) {
         const toolName = process.argv[2];
+        // With no tool name, or only --options, run as a long-lived MCP server.
+        if (!toolName || toolName.startsWith('--')) {
+            const options = parseServerOptions(process.argv.slice(2));
+            if (options['read-only']) {
+                configure({ readOnly: true });
+            }
+            if (!options.http) {
+                await startStdioServer();
+                return;
+            }
+            let token = options.token || process.env.FS_MCP_TOKEN;
+            if (!token) {
+                token = crypto.randomBytes(24).toString('hex');
+                console.error(`No token configured; generated bearer token: ${token}`);
+            }
+            const httpServer = await startHttpServer({
+                host: options.host,
+                port: options.port !== undefined ? Number(options.port) : undefined,
+                token,
+                sessionIdleMs: options['session-idle-ms'] !== undefined ? Number(options['session-idle-ms']) : undefined,
+            });
+            const address = httpServer.address();
+            console.error(`MCP server listening on http://${address.address}:${address.port}/mcp`);
+            return;
+        }
         const args = process.argv[3] ? JSON.parse(process.argv[3]) : {};
         try {
-            let result;
-            switch (toolName) {
-                case 'listFiles': result = await listFiles(args); break;
-                case 'readFile': result = await readFile(args); break;
-                case 'createFile': result = await createFile(args); break;
-                case 'editFile': result = await editFile(args); break;
-                case 'replaceString': result = await replaceString(args); break;
-                case 'deleteFile': result = await deleteFile(args); break;
-                case 'deleteDirectory': result = await deleteDirectory(args); break;
-                case 'renameFile': result = await renameFile(args); break;
-                case 'renameDirectory': result = await renameDirectory(args); break;
-                case 'moveFile': result = await moveFile(args); break;
-                case 'moveDirectory': result = await moveDirectory(args); break;
-                case 'createDirectory': result = await createDirectory(args); break;
-                case 'getFileInfo': result = await getFileInfo(args); break;
-                case 'getDirectoryInfo': result = await getDirectoryInfo(args); break;
-                case 'appendToFile': result = await appendToFile(args); break;
-                case 'prependToFile': result = await prependToFile(args); break;
-                case 'searchInFile': result = await searchInFile(args); break;
-                case 'zipDirectory': result = await zipDirectory(args); break;
-                case 'unzipFile': result = await unzipFile(args); break;
-                case 'changePermissions': result = await changePermissions(args); break;
-                case 'listRecentFiles': result = await listRecentFiles(args); break;
-                case 'searchFiles': result = await searchFiles(args); break;
-                case 'getToolDefinition': result = getToolDefinition(); break;
-                case 'saveContentToFile': result = await saveContentToFile(args); break;
-                case 'exportContent': result = await exportContent(args); break;
-                default: throw new Error(`Unknown tool: ${toolName}`);
-            }
+            const result = toolName === 'getToolDefinition' ? getToolDefinition() : await callTool(toolName, args);
             console.log(JSON.stringify(result, null, 2));
         } catch (error) {
             console.error(JSON.stringify({ error: error.message }));
@@ -710,31 +5418,20 @@ async function main() {
 
 // --- Exports ---
 
+// Each tool is exported as a function that validates its arguments before running.
+const toolExports = Object.fromEntries(toolRegistry.map((tool) => [tool.name, (args, context) => callTool(tool.name, args, context)]));
+
 module.exports = {
-    zipDirectory,
-    unzipFile,
-    changePermissions,
-    listRecentFiles,
-    searchFiles,
-    exportContent,
-    saveContentToFile,
-    getFileInfo,
-    getDirectoryInfo,
-    appendToFile,
-    prependToFile,
-    searchInFile,
-    listFiles,
-    readFile,
-    createFile,
-    editFile,
-    replaceString,
-    createDirectory,
-    deleteDirectory,
-    renameDirectory,
-    moveDirectory,
-    renameFile,
-    moveFile,
+    ...toolExports,
     resolveUserPath,
+    configure,
+    getAllowedRoots,
     main,
     getToolDefinition,
-};
\ No newline at end of file
+    callTool,
+    createMcpServer,
+    startStdioServer,
+    startHttpServer,
+};
+
+main();
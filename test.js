@@ -3,16 +3,34 @@ const chaiAsPromised = require('chai-as-promised');
 chai.use(chaiAsPromised.default);
 const { expect } = chai;
 const {
-  zipDirectory, unzipFile, changePermissions, listRecentFiles, searchFiles,
-  exportContent, saveContentToFile, getFileInfo, getDirectoryInfo,
-  appendToFile, prependToFile, searchInFile,
-  listFiles, readFile, createFile, editFile, replaceString,
-  createDirectory, deleteDirectory, renameDirectory, moveDirectory
+    zipDirectory, unzipFile, changePermissions, listRecentFiles, searchFiles,
+    exportContent, saveContentToFile, getFileInfo, getDirectoryInfo,
+    appendToFile, prependToFile, searchInFile,
+    listFiles, readFile, createFile, editFile, replaceString,
+    createDirectory, deleteDirectory, renameDirectory, moveDirectory,
+    createMcpServer, startHttpServer, callTool, getToolDefinition,
+    configure, listRoots, resolveUserPath, deleteFile, readAuditLog,
+    listTrash, restoreFromTrash, emptyTrash, applyEdits, applyPatch, diffFiles,
+    headFile, tailFile, insertAtLine, replaceLines, deleteLines, convertFile,
+    directoryTree, searchContent, findFile, buildIndex, indexStatus, dropIndex, watchPath, unwatchPath, waitForFile
 } = require('./server.js');
+const server = require('./server.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ListRootsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { pathToFileURL } = require('url');
 const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Keep the server's own state (audit log, ...) out of the real home directory.
+const testDataDir = path.join(os.tmpdir(), `fs-mcp-data-${process.pid}`);
+configure({ dataDir: testDataDir, trash: { dir: path.join(testDataDir, 'Trash') } });
+after(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+});
+
 // Helper to create and clean up test files/directories
 async function setupTestDir(dir) {
   await fs.mkdir(dir, { recursive: true });
@@ -206,6 +224,50 @@ describe('Advanced and Edge Case Tests', () => {
       await expect(exportContent({ sourceType: 'file', source: bad, format: 'md', outputPath: 'test-advanced/evil.md' })).to.be.rejectedWith(/restricted/i);
     }
   });
+
+});
+
+describe('Symlink Escapes', function () {
+    const testDir = path.join(os.homedir(), 'test_symlink_escape');
+    const testFile = path.join(testDir, 'file.txt');
+    const outsideDir = path.join(os.tmpdir(), `fs-mcp-outside-${process.pid}`);
+
+    before(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(testFile, 'Hello\nWorld\nTest\n');
+        await fs.mkdir(outsideDir, { recursive: true });
+        await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'secret');
+        await fs.symlink(outsideDir, path.join(testDir, 'escape'));
+        await fs.symlink(path.join(outsideDir, 'planted.txt'), path.join(testDir, 'dangling.txt'));
+        await fs.symlink(testFile, path.join(testDir, 'inside-link.txt'));
+    });
+
+    after(async function () {
+        configure({ followSymlinks: undefined });
+        await fs.rm(outsideDir, { recursive: true, force: true });
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('rejects reads, writes and deletes through a symlink that leaves the root', async function () {
+        await expect(readFile({ filePath: 'test_symlink_escape/escape/secret.txt' })).to.be.rejectedWith(/restricted/i);
+        await expect(createFile({ filePath: 'test_symlink_escape/escape/new.txt', content: 'x' })).to.be.rejectedWith(/restricted/i);
+        await expect(deleteDirectory({ directoryPath: 'test_symlink_escape/escape' })).to.be.rejectedWith(/restricted/i);
+        expect(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8')).to.equal('secret');
+    });
+
+    it('rejects writes through a dangling symlink that points outside the root', async function () {
+        await expect(saveContentToFile({ filePath: 'test_symlink_escape/dangling.txt', content: 'x', overwrite: true }))
+            .to.be.rejectedWith(/restricted/i);
+        await expect(fs.stat(path.join(outsideDir, 'planted.txt'))).to.be.rejectedWith(/ENOENT/);
+    });
+
+    it('allows symlinks that stay inside the root unless followSymlinks is false', async function () {
+        const result = await readFile({ filePath: 'test_symlink_escape/inside-link.txt' });
+        expect(result.content).to.equal('Hello\nWorld\nTest\n');
+        configure({ followSymlinks: false });
+        await expect(readFile({ filePath: 'test_symlink_escape/inside-link.txt' })).to.be.rejectedWith(/symbolic links/i);
+        await expect(readFile({ filePath: 'test_symlink_escape/file.txt' })).to.eventually.have.property('content');
+    });
 });
 
 describe('File System Operations', () => {
@@ -231,6 +293,35 @@ describe('File System Operations', () => {
             expect(result.files).to.include('test_file.txt');
             expect(result.files).to.include('test_sub_dir');
         });
+
+        it('should describe each entry with its type, size, mtime and mode', async () => {
+            const result = await listFiles({ directoryPath: getHomeRelativePath(testDir), pattern: 'test_*' });
+            const file = result.entries.find(entry => entry.name === 'test_file.txt');
+            expect(file).to.include({ type: 'file', size: 13 });
+            expect(file.mode).to.match(/^[0-7]{3,4}$/);
+            expect(new Date(file.modifiedAt).getTime()).to.be.above(0);
+            expect(result.entries.find(entry => entry.name === 'test_sub_dir')).to.include({ type: 'directory' });
+        });
+
+        it('should filter, sort and page through a directory', async () => {
+            const pageDir = path.join(testDir, 'paging');
+            await fs.mkdir(pageDir, { recursive: true });
+            for (const [name, size] of [['a.txt', 3], ['b.txt', 1], ['c.log', 2], ['.hidden', 5]]) {
+                await fs.writeFile(path.join(pageDir, name), 'x'.repeat(size));
+            }
+            const relDir = getHomeRelativePath(pageDir);
+            expect((await listFiles({ directoryPath: relDir })).files).to.deep.equal(['.hidden', 'a.txt', 'b.txt', 'c.log']);
+            expect((await listFiles({ directoryPath: relDir, showHidden: false, pattern: '*.txt' })).files).to.deep.equal(['a.txt', 'b.txt']);
+            const first = await listFiles({ directoryPath: relDir, sortBy: 'size', order: 'desc', limit: 2 });
+            expect(first).to.include({ total: 4 });
+            expect(first.files).to.deep.equal(['.hidden', 'a.txt']);
+            // Sorts before the cursor, so it does not shift the next page.
+            await fs.writeFile(path.join(pageDir, 'big.txt'), 'x'.repeat(10));
+            const second = await listFiles({ directoryPath: relDir, sortBy: 'size', order: 'desc', limit: 2, cursor: first.nextCursor });
+            expect(second.files).to.deep.equal(['c.log', 'b.txt']);
+            expect(second.nextCursor).to.be.undefined;
+            await expect(listFiles({ directoryPath: relDir, cursor: first.nextCursor })).to.be.rejectedWith(/different sort order/);
+        });
     });
 
     describe('readFile', () => {
@@ -313,6 +404,51 @@ describe('File System Operations', () => {
                 newContent: 'new content',
             })).to.be.rejectedWith(/not unique/);
         });
+
+        it('should match oldContent literally, including regex metacharacters', async () => {
+            await fs.writeFile(editableFile, 'const total = price * (1 + rate);\nconst label = "$price";\n');
+            const result = await editFile({
+                filePath: getHomeRelativePath(editableFile),
+                oldContent: 'price * (1 + rate)',
+                newContent: 'price * (1 + tax) + "$&"',
+            });
+            expect(result.replacements).to.equal(1);
+            expect(result.lines).to.deep.equal([1]);
+            const content = await fs.readFile(editableFile, 'utf8');
+            expect(content).to.equal('const total = price * (1 + tax) + "$&";\nconst label = "$price";\n');
+        });
+
+        it('should substitute capture groups in regex mode', async () => {
+            await fs.writeFile(editableFile, 'name: Ada\nname: Grace\n');
+            await editFile({
+                filePath: getHomeRelativePath(editableFile),
+                oldContent: '^name: (?<who>\\w+)$',
+                newContent: 'user: $<who> ($1)',
+                matchMode: 'regex',
+                flags: 'm',
+                occurrence: 2,
+            });
+            const content = await fs.readFile(editableFile, 'utf8');
+            expect(content).to.equal('name: Ada\nuser: Grace (Grace)\n');
+        });
+
+        it('should replace every match only when expectedCount agrees', async () => {
+            await fs.writeFile(editableFile, 'a\nb\na\n');
+            await expect(editFile({
+                filePath: getHomeRelativePath(editableFile),
+                oldContent: 'a',
+                newContent: 'c',
+                expectedCount: 3,
+            })).to.be.rejectedWith(/Expected 3 match\(es\) but found 2/);
+            const result = await editFile({
+                filePath: getHomeRelativePath(editableFile),
+                oldContent: 'a',
+                newContent: 'c',
+                expectedCount: 2,
+            });
+            expect(result.lines).to.deep.equal([1, 3]);
+            expect(await fs.readFile(editableFile, 'utf8')).to.equal('c\nb\nc\n');
+        });
     });
 
     describe('replaceString', () => {
@@ -351,6 +487,40 @@ describe('File System Operations', () => {
             const content = await fs.readFile(replaceFile, 'utf8');
             expect(content).to.equal('one two one three');
         });
+
+        it('should treat oldString literally by default', async () => {
+            await fs.writeFile(replaceFile, 'a.b axb a.b');
+            const result = await replaceString({
+                filePath: getHomeRelativePath(replaceFile),
+                oldString: 'a.b',
+                newString: '$1',
+            });
+            expect(result.replacements).to.equal(2);
+            expect(await fs.readFile(replaceFile, 'utf8')).to.equal('$1 axb $1');
+        });
+
+        it('should report the lines replaced in regex mode', async () => {
+            await fs.writeFile(replaceFile, 'One\ntwo\none\n');
+            const result = await replaceString({
+                filePath: getHomeRelativePath(replaceFile),
+                oldString: '(o)ne',
+                newString: '$1NE',
+                matchMode: 'regex',
+                flags: 'i',
+            });
+            expect(result).to.include({ replacements: 2 });
+            expect(result.lines).to.deep.equal([1, 3]);
+            expect(await fs.readFile(replaceFile, 'utf8')).to.equal('ONE\ntwo\noNE\n');
+        });
+    });
+
+    describe('searchInFile', () => {
+        it('should match literally unless regex mode is requested', async () => {
+            const literal = await searchInFile({ filePath: getHomeRelativePath(testFile), pattern: 'w.rld' });
+            expect(literal.content).to.deep.equal([]);
+            const regex = await searchInFile({ filePath: getHomeRelativePath(testFile), pattern: 'W.RLD', matchMode: 'regex', flags: 'i' });
+            expect(regex.content.map(m => m.lineContent)).to.deep.equal(['Hello, world!']);
+        });
     });
 
     describe('saveContentToFile', function () {
@@ -595,6 +765,1637 @@ describe('Directory Operations', function () {
     });
 });
 
+describe('Tool Registry', function () {
+    const testDir = path.join(os.homedir(), 'test_tool_registry');
+    const testFile = path.join(testDir, 'file.txt');
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(testFile, 'original');
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should export a function for every defined tool', function () {
+        for (const tool of getToolDefinition().tools) {
+            expect(server[tool.name], tool.name).to.be.a('function');
+        }
+    });
+
+    it('should reject a missing required argument before running the tool', async function () {
+        await expect(callTool('editFile', { filePath: getHomeRelativePath(testFile), oldContent: 'original' }))
+            .to.be.rejectedWith(/Missing required argument: newContent/);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('original');
+    });
+
+    it('should reject arguments of the wrong type', async function () {
+        await expect(changePermissions({ filePath: getHomeRelativePath(testFile), mode: '755' }))
+            .to.be.rejectedWith(/Invalid mode: must be integer/);
+    });
+
+    it('should report every invalid field at once', async function () {
+        const error = await callTool('moveFile', { sourcePath: 1 }).catch(e => e);
+        expect(error.message).to.include('Invalid sourcePath: must be string');
+        expect(error.message).to.include('Missing required argument: destinationPath');
+    });
+
+    it('should reject unknown tools', async function () {
+        await expect(callTool('formatDisk', {})).to.be.rejectedWith(/Unknown tool: formatDisk/);
+    });
+});
+
+describe('Allowed Roots', function () {
+    const homeDir = os.homedir();
+    const scratchRoot = path.join(os.tmpdir(), `fs-mcp-root-${process.pid}`);
+
+    before(async function () {
+        await fs.mkdir(path.join(scratchRoot, 'sub'), { recursive: true });
+        await fs.writeFile(path.join(scratchRoot, 'sub', 'note.txt'), 'scratch note');
+    });
+
+    afterEach(function () {
+        configure({ roots: undefined });
+    });
+
+    after(async function () {
+        await fs.rm(scratchRoot, { recursive: true, force: true });
+    });
+
+    it('should default to the home directory', async function () {
+        const result = await listRoots();
+        expect(result.roots).to.deep.equal([{ name: 'home', path: homeDir, isDefault: true }]);
+    });
+
+    it('should accept absolute and root-qualified paths inside configured roots', async function () {
+        configure({ roots: [{ name: 'scratch', path: scratchRoot }, homeDir] });
+        const absolute = await readFile({ filePath: path.join(scratchRoot, 'sub', 'note.txt') });
+        expect(absolute.content).to.equal('scratch note');
+        const qualified = await readFile({ filePath: 'scratch:sub/note.txt' });
+        expect(qualified.content).to.equal('scratch note');
+        expect(resolveUserPath('home:Documents')).to.equal(path.join(homeDir, 'Documents'));
+    });
+
+    it('should resolve relative paths against the first root', async function () {
+        configure({ roots: [scratchRoot, homeDir] });
+        const result = await listFiles({});
+        expect(result.files).to.deep.equal(['sub']);
+        expect(resolveUserPath('sub/note.txt')).to.equal(path.join(scratchRoot, 'sub', 'note.txt'));
+    });
+
+    it('should reject absolute paths outside every root', async function () {
+        configure({ roots: [scratchRoot] });
+        await expect(readFile({ filePath: path.join(homeDir, '.bashrc') })).to.be.rejectedWith(/restricted/i);
+    });
+
+    it('should narrow access to the roots announced by an MCP client', async function () {
+        configure({ roots: [homeDir, scratchRoot] });
+        const client = new Client({ name: 'roots-client', version: '1.0.0' }, { capabilities: { roots: { listChanged: true } } });
+        client.setRequestHandler(ListRootsRequestSchema, async () => ({
+            roots: [
+                { uri: pathToFileURL(path.join(scratchRoot, 'sub')).href, name: 'project' },
+                { uri: 'file:///etc', name: 'outside' },
+            ],
+        }));
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await createMcpServer({ useClientRoots: true }).connect(serverTransport);
+        await client.connect(clientTransport);
+        try {
+            let roots = [];
+            for (let attempt = 0; attempt < 50 && roots.length !== 1; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                roots = (await listRoots()).roots;
+            }
+            expect(roots).to.deep.equal([{ name: 'project', path: path.join(scratchRoot, 'sub'), isDefault: true }]);
+        } finally {
+            await client.close();
+        }
+    });
+});
+
+describe('Access Policy', function () {
+    const testDir = path.join(os.homedir(), 'test_access_policy');
+
+    beforeEach(async function () {
+        await fs.mkdir(path.join(testDir, '.ssh'), { recursive: true });
+        await fs.mkdir(path.join(testDir, '.aws'), { recursive: true });
+        await fs.writeFile(path.join(testDir, '.ssh', 'config'), 'Host *');
+        await fs.writeFile(path.join(testDir, '.aws', 'credentials'), 'secret');
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'notes');
+    });
+
+    afterEach(async function () {
+        configure({ readOnly: undefined, policy: undefined });
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should hide and refuse mutating tools in read-only mode', async function () {
+        configure({ readOnly: true });
+        const names = getToolDefinition().tools.map(t => t.name);
+        expect(names).to.include('readFile');
+        expect(names).to.not.include.members(['deleteDirectory', 'replaceString', 'changePermissions', 'exportContent']);
+        await expect(deleteDirectory({ directoryPath: 'test_access_policy' })).to.be.rejectedWith(/read-only mode/);
+        await expect(readFile({ filePath: 'test_access_policy/notes.txt' })).to.eventually.have.property('content', 'notes');
+    });
+
+    it('should deny writes matching a deny glob but allow reads', async function () {
+        configure({ policy: { write: { deny: ['test_access_policy/.ssh/**'] } } });
+        await expect(saveContentToFile({ filePath: 'test_access_policy/.ssh/config', content: 'x', overwrite: true }))
+            .to.be.rejectedWith(/denied by policy/);
+        await expect(readFile({ filePath: 'test_access_policy/.ssh/config' })).to.eventually.have.property('content', 'Host *');
+        await saveContentToFile({ filePath: 'test_access_policy/notes.txt', content: 'updated', overwrite: true });
+    });
+
+    it('should deny every operation for "*" rules', async function () {
+        configure({ policy: { '*': { deny: ['**/.aws/**'] } } });
+        await expect(readFile({ filePath: 'test_access_policy/.aws/credentials' })).to.be.rejectedWith(/denied by policy/);
+        await expect(getDirectoryInfo({ directoryPath: 'test_access_policy/.aws' })).to.be.rejectedWith(/denied by policy/);
+    });
+
+    it('should refuse recursive operations on a directory containing denied paths', async function () {
+        configure({ policy: { delete: { deny: ['test_access_policy/.ssh/**'] } } });
+        await expect(deleteDirectory({ directoryPath: 'test_access_policy' })).to.be.rejectedWith(/denied by policy/);
+        const stat = await fs.stat(path.join(testDir, '.ssh', 'config'));
+        expect(stat.isFile()).to.be.true;
+    });
+
+    it('should only permit paths matching allow globs when some are given', async function () {
+        configure({ policy: { write: { allow: ['test_access_policy/*.txt'] } } });
+        await appendToFile({ filePath: 'test_access_policy/notes.txt', content: '!' });
+        await expect(createFile({ filePath: 'test_access_policy/other.md', content: 'x' })).to.be.rejectedWith(/denied by policy/);
+    });
+
+    it('should reject malformed policies', function () {
+        expect(() => configure({ policy: { modify: { deny: ['**'] } } })).to.throw(/unknown operation/);
+        expect(() => configure({ policy: { write: { block: ['**'] } } })).to.throw(/allow.*deny/);
+    });
+});
+
+describe('Audit Log', function () {
+    const testDir = path.join(os.homedir(), 'test_audit_log');
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'doomed.txt'), 'bye');
+        await fs.rm(testDataDir, { recursive: true, force: true });
+    });
+
+    afterEach(async function () {
+        configure({ auditLog: undefined });
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should record mutating calls with resolved paths and hashed content', async function () {
+        await createFile({ filePath: 'test_audit_log/new.txt', content: 'top secret' });
+        const { entries } = await readAuditLog({ tool: 'createFile' });
+        expect(entries).to.have.length(1);
+        const [entry] = entries;
+        expect(entry.outcome).to.equal('success');
+        expect(entry.paths).to.deep.equal([path.join(testDir, 'new.txt')]);
+        expect(entry.args.filePath).to.equal('test_audit_log/new.txt');
+        expect(entry.args.content).to.deep.equal({
+            sha256: require('crypto').createHash('sha256').update('top secret').digest('hex'),
+            length: 10,
+        });
+        expect(JSON.stringify(entries)).to.not.include('top secret');
+    });
+
+    it('should record failures and skip read-only tools', async function () {
+        await readFile({ filePath: 'test_audit_log/doomed.txt' });
+        await expect(deleteFile({ filePath: 'test_audit_log/missing.txt' })).to.be.rejected;
+        const { entries } = await readAuditLog({});
+        expect(entries.map(e => e.tool)).to.deep.equal(['deleteFile']);
+        expect(entries[0].outcome).to.equal('error');
+        expect(entries[0].error).to.match(/ENOENT/);
+    });
+
+    it('should filter by path and return newest entries first', async function () {
+        await deleteFile({ filePath: 'test_audit_log/doomed.txt' });
+        await createDirectory({ directoryPath: 'test_audit_log/sub' });
+        await createFile({ filePath: 'test_mcp_elsewhere.txt', content: 'x' }).finally(() =>
+            fs.rm(path.join(os.homedir(), 'test_mcp_elsewhere.txt'), { force: true }));
+        const { entries } = await readAuditLog({ path: 'test_audit_log' });
+        expect(entries.map(e => e.tool)).to.deep.equal(['createDirectory', 'deleteFile']);
+        const limited = await readAuditLog({ limit: 1 });
+        expect(limited.entries.map(e => e.tool)).to.deep.equal(['createFile']);
+    });
+
+    it('should rotate the log when it grows past maxBytes', async function () {
+        configure({ auditLog: { maxBytes: 400, maxFiles: 3 } });
+        for (let i = 0; i < 6; i++) {
+            await createDirectory({ directoryPath: `test_audit_log/dir${i}` });
+        }
+        const files = await fs.readdir(testDataDir);
+        expect(files).to.include.members(['audit.jsonl', 'audit.1.jsonl', 'audit.2.jsonl']);
+        expect(files).to.not.include('audit.3.jsonl');
+        const { entries } = await readAuditLog({});
+        expect(entries[0].args.directoryPath).to.equal('test_audit_log/dir5');
+    });
+
+    it('should not let tools modify the audit log', async function () {
+        configure({ roots: [os.homedir(), testDataDir] });
+        try {
+            await createDirectory({ directoryPath: 'test_audit_log/x' });
+            await expect(saveContentToFile({ filePath: path.join(testDataDir, 'audit.jsonl'), content: '', overwrite: true }))
+                .to.be.rejectedWith(/managed by the server/);
+        } finally {
+            configure({ roots: undefined });
+        }
+    });
+});
+
+describe('Trash', function () {
+    const testDir = path.join(os.homedir(), 'test_trash');
+    const trashDir = path.join(testDataDir, 'Trash');
+
+    beforeEach(async function () {
+        await fs.mkdir(path.join(testDir, 'folder'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'note.txt'), 'keep me');
+        await fs.writeFile(path.join(testDir, 'folder', 'inner.txt'), 'inner');
+    });
+
+    afterEach(async function () {
+        configure({ trash: { dir: trashDir } });
+        await fs.rm(testDir, { recursive: true, force: true });
+        await fs.rm(trashDir, { recursive: true, force: true });
+    });
+
+    it('should move deleted files into the trash with freedesktop metadata', async function () {
+        const result = await deleteFile({ filePath: 'test_trash/note.txt' });
+        expect(result.trashId).to.equal('note.txt');
+        await expect(fs.stat(path.join(testDir, 'note.txt'))).to.be.rejectedWith(/ENOENT/);
+        expect(await fs.readFile(path.join(trashDir, 'files', 'note.txt'), 'utf8')).to.equal('keep me');
+        const info = await fs.readFile(path.join(trashDir, 'info', 'note.txt.trashinfo'), 'utf8');
+        expect(info).to.match(/^\[Trash Info\]\nPath=.*test_trash\/note\.txt\nDeletionDate=\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\n$/);
+    });
+
+    it('should list and restore trashed items', async function () {
+        await deleteDirectory({ directoryPath: 'test_trash/folder' });
+        const { entries } = await listTrash();
+        expect(entries).to.have.length(1);
+        expect(entries[0]).to.include({ id: 'folder', originalPath: path.join(testDir, 'folder'), isDirectory: true, size: 5 });
+        await restoreFromTrash({ id: 'folder' });
+        expect(await fs.readFile(path.join(testDir, 'folder', 'inner.txt'), 'utf8')).to.equal('inner');
+        expect((await listTrash()).entries).to.have.length(0);
+    });
+
+    it('should give clashing names unique ids and refuse to restore over existing files', async function () {
+        await deleteFile({ filePath: 'test_trash/note.txt' });
+        await fs.writeFile(path.join(testDir, 'note.txt'), 'second');
+        const second = await deleteFile({ filePath: 'test_trash/note.txt' });
+        expect(second.trashId).to.equal('note.2.txt');
+        await fs.writeFile(path.join(testDir, 'note.txt'), 'third');
+        await expect(restoreFromTrash({ id: 'note.txt' })).to.be.rejectedWith(/already exists/);
+        await restoreFromTrash({ id: 'note.2.txt', destinationPath: 'test_trash/restored.txt' });
+        expect(await fs.readFile(path.join(testDir, 'restored.txt'), 'utf8')).to.equal('second');
+    });
+
+    it('should delete permanently when asked', async function () {
+        await deleteFile({ filePath: 'test_trash/note.txt', permanent: true });
+        await deleteDirectory({ directoryPath: 'test_trash/folder', permanent: true });
+        expect((await listTrash()).entries).to.have.length(0);
+        expect(await fs.readdir(testDir)).to.deep.equal([]);
+    });
+
+    it('should empty the trash by id or entirely', async function () {
+        await deleteFile({ filePath: 'test_trash/note.txt' });
+        await deleteDirectory({ directoryPath: 'test_trash/folder' });
+        const one = await emptyTrash({ id: 'note.txt' });
+        expect(one.deletedCount).to.equal(1);
+        expect((await listTrash()).entries.map(e => e.id)).to.deep.equal(['folder']);
+        const rest = await emptyTrash({});
+        expect(rest.deletedCount).to.equal(1);
+        expect(await fs.readdir(path.join(trashDir, 'files'))).to.deep.equal([]);
+    });
+
+    it('should skip items whose deletion date cannot be read', async function () {
+        await deleteFile({ filePath: 'test_trash/note.txt' });
+        await fs.writeFile(path.join(trashDir, 'files', 'odd.txt'), 'x');
+        await fs.writeFile(
+            path.join(trashDir, 'info', 'odd.txt.trashinfo'),
+            `[Trash Info]\nPath=${path.join(testDir, 'odd.txt')}\nDeletionDate=last tuesday\n`,
+        );
+        expect((await listTrash()).entries.map(e => e.id)).to.deep.equal(['note.txt']);
+        await restoreFromTrash({ id: 'note.txt' });
+        expect(await fs.readFile(path.join(testDir, 'note.txt'), 'utf8')).to.equal('keep me');
+    });
+
+    it('should drop the oldest items when the trash exceeds maxBytes', async function () {
+        configure({ trash: { dir: trashDir, maxBytes: 10 } });
+        await deleteFile({ filePath: 'test_trash/note.txt' });
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        await deleteDirectory({ directoryPath: 'test_trash/folder' });
+        expect((await listTrash()).entries.map(e => e.id)).to.deep.equal(['folder']);
+    });
+
+    it('should never purge items it did not trash itself from the default trash', async function () {
+        const dataHome = path.join(testDataDir, 'xdg');
+        const defaultTrash = process.platform === 'linux' ? path.join(dataHome, 'Trash') : path.join(testDataDir, 'trash');
+        const previous = process.env.XDG_DATA_HOME;
+        process.env.XDG_DATA_HOME = dataHome;
+        configure({ trash: { maxBytes: 10 } });
+        try {
+            // Trashed from the desktop long ago, from inside the roots, and bigger than maxBytes.
+            await fs.mkdir(path.join(defaultTrash, 'files'), { recursive: true });
+            await fs.mkdir(path.join(defaultTrash, 'info'), { recursive: true });
+            await fs.writeFile(path.join(defaultTrash, 'files', 'tax-2023.pdf'), 'x'.repeat(100));
+            await fs.writeFile(
+                path.join(defaultTrash, 'info', 'tax-2023.pdf.trashinfo'),
+                `[Trash Info]\nPath=${path.join(testDir, 'tax-2023.pdf')}\nDeletionDate=2020-01-01T00:00:00\n`,
+            );
+            await deleteFile({ filePath: 'test_trash/note.txt' });
+            await deleteDirectory({ directoryPath: 'test_trash/folder' });
+            expect((await listTrash()).entries.map(e => e.id).sort()).to.deep.equal(['folder', 'tax-2023.pdf']);
+            expect(await fs.readFile(path.join(defaultTrash, 'files', 'tax-2023.pdf'), 'utf8')).to.have.length(100);
+        } finally {
+            if (previous === undefined) {
+                delete process.env.XDG_DATA_HOME;
+            } else {
+                process.env.XDG_DATA_HOME = previous;
+            }
+            await fs.rm(defaultTrash, { recursive: true, force: true });
+            await fs.rm(dataHome, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Atomic Writes and Versioning', function () {
+    const testDir = path.join(os.homedir(), 'test_versioning');
+    const testFile = path.join(testDir, 'notes.txt');
+    const relFile = 'test_versioning/notes.txt';
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(testFile, 'first line\nsecond line\n');
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should return the same hash from readFile and getFileInfo', async function () {
+        const read = await readFile({ filePath: relFile });
+        const info = await getFileInfo({ filePath: relFile });
+        expect(read.hash).to.match(/^[0-9a-f]{64}$/);
+        expect(info.hash).to.equal(read.hash);
+        expect((await getFileInfo({ filePath: 'test_versioning' })).hash).to.be.undefined;
+    });
+
+    it('should write when the expected hash matches and return the new hash', async function () {
+        const { hash } = await readFile({ filePath: relFile });
+        const result = await editFile({ filePath: relFile, oldContent: 'first', newContent: 'third', expectedHash: hash });
+        const read = await readFile({ filePath: relFile });
+        expect(read.content).to.equal('third line\nsecond line\n');
+        expect(result.hash).to.equal(read.hash);
+    });
+
+    it('should fail with a conflict when the file changed since it was read', async function () {
+        const { hash } = await readFile({ filePath: relFile });
+        await appendToFile({ filePath: relFile, content: 'from another agent\n' });
+        await expect(replaceString({ filePath: relFile, oldString: 'line', newString: 'row', expectedHash: hash })).to.be.rejectedWith(/Conflict: .* has changed since it was read/);
+        await expect(deleteFile({ filePath: relFile, expectedHash: hash })).to.be.rejectedWith(/Conflict/);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('first line\nsecond line\nfrom another agent\n');
+    });
+
+    it('should check the expected modification time', async function () {
+        const { modifiedAt } = await getFileInfo({ filePath: relFile });
+        await prependToFile({ filePath: relFile, content: 'zero\n', expectedMtime: modifiedAt });
+        await expect(saveContentToFile({ filePath: relFile, content: 'replaced', overwrite: true, expectedMtime: Date.parse(modifiedAt) - 5000 }))
+            .to.be.rejectedWith(/Conflict: .* was modified at/);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('zero\nfirst line\nsecond line\n');
+    });
+
+    it('should keep the file mode and leave no temporary files behind', async function () {
+        await fs.chmod(testFile, 0o640);
+        await saveContentToFile({ filePath: relFile, content: 'replaced', overwrite: true });
+        expect((await fs.stat(testFile)).mode & 0o777).to.equal(0o640);
+        expect(await fs.readdir(testDir)).to.deep.equal(['notes.txt']);
+    });
+
+    it('should write through a symlink instead of replacing it', async function () {
+        await fs.symlink(testFile, path.join(testDir, 'link.txt'));
+        await editFile({ filePath: 'test_versioning/link.txt', oldContent: 'first', newContent: 'linked' });
+        expect((await fs.lstat(path.join(testDir, 'link.txt'))).isSymbolicLink()).to.be.true;
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('linked line\nsecond line\n');
+    });
+
+    it('should check preconditions on directories and exports', async function () {
+        await fs.mkdir(path.join(testDir, 'dir'));
+        const stale = Date.parse((await getFileInfo({ filePath: 'test_versioning/dir' })).modifiedAt) - 5000;
+        await expect(deleteDirectory({ directoryPath: 'test_versioning/dir', expectedMtime: stale })).to.be.rejectedWith(/Conflict/);
+        await expect(renameDirectory({ oldPath: 'test_versioning/dir', newPath: 'test_versioning/dir2', expectedMtime: stale })).to.be.rejectedWith(/Conflict/);
+        await expect(moveDirectory({ sourcePath: 'test_versioning/dir', destinationPath: 'test_versioning/dir2', expectedMtime: stale })).to.be.rejectedWith(/Conflict/);
+        const { modifiedAt } = await getFileInfo({ filePath: 'test_versioning/dir' });
+        await renameDirectory({ oldPath: 'test_versioning/dir', newPath: 'test_versioning/dir2', expectedMtime: modifiedAt });
+
+        const output = { sourceType: 'text', source: '# Title', format: 'md', outputPath: relFile };
+        await expect(exportContent({ ...output, expectedHash: '0'.repeat(64) })).to.be.rejectedWith(/Conflict/);
+        await fs.chmod(testFile, 0o640);
+        await exportContent({ ...output, expectedHash: (await readFile({ filePath: relFile })).hash });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('# Title');
+        expect((await fs.stat(testFile)).mode & 0o777).to.equal(0o640);
+    });
+
+    it('should reject a malformed expected hash', async function () {
+        await expect(callTool('editFile', { filePath: relFile, oldContent: 'first', newContent: 'x', expectedHash: 'abc' }))
+            .to.be.rejectedWith(/Invalid expectedHash/);
+    });
+});
+
+describe('applyEdits', function () {
+    const testDir = path.join(os.homedir(), 'test_apply_edits');
+    const testFile = path.join(testDir, 'app.js');
+    const relFile = 'test_apply_edits/app.js';
+    const original = 'const a = 1;\nconst b = 2;\nconst c = 3;\n';
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(testFile, original);
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should apply content and line-range edits in order', async function () {
+        const result = await applyEdits({
+            filePath: relFile,
+            edits: [
+                { oldContent: 'const a = 1;', newContent: 'let a = 1;' },
+                { startLine: 2, endLine: 3, newContent: 'const bc = 5;' },
+                { oldContent: 'let a', newContent: 'var a' },
+            ],
+        });
+        const content = await fs.readFile(testFile, 'utf8');
+        expect(content).to.equal('var a = 1;\nconst bc = 5;\n');
+        expect(result.hash).to.equal((await readFile({ filePath: relFile })).hash);
+        expect(result.diff).to.include('@@ -1,3 +1,2 @@\n-const a = 1;\n-const b = 2;\n-const c = 3;\n+var a = 1;\n+const bc = 5;\n');
+    });
+
+    it('should return a diff without writing on a dry run', async function () {
+        const result = await applyEdits({
+            filePath: relFile,
+            edits: [{ oldContent: 'const b = 2;', newContent: 'const b = 20;' }],
+            dryRun: true,
+        });
+        expect(result.content).to.match(/^Dry run/);
+        expect(result.diff).to.include('@@ -1,3 +1,3 @@');
+        expect(result.diff).to.include('-const b = 2;\n+const b = 20;');
+        expect(await fs.readFile(testFile, 'utf8')).to.equal(original);
+        await applyEdits({ filePath: relFile, edits: [{ oldContent: 'const b = 2;', newContent: 'const b = 20;' }], expectedHash: result.hash });
+        expect(await fs.readFile(testFile, 'utf8')).to.include('const b = 20;');
+    });
+
+    it('should write nothing if any edit fails', async function () {
+        await expect(applyEdits({
+            filePath: relFile,
+            edits: [
+                { oldContent: 'const a = 1;', newContent: 'let a = 1;' },
+                { oldContent: 'const', newContent: 'let' },
+            ],
+        })).to.be.rejectedWith(/Edit 2 failed: The oldContent is not unique/);
+        await expect(applyEdits({
+            filePath: relFile,
+            edits: [{ startLine: 3, endLine: 4, newContent: '' }],
+        })).to.be.rejectedWith(/Edit 1 failed: Lines 3-4 are not in the file, which has 3 line\(s\)/);
+        await expect(applyEdits({ filePath: relFile, edits: [{ newContent: 'x' }] })).to.be.rejectedWith(/either oldContent or startLine/);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal(original);
+    });
+
+    it('should keep CRLF line endings when replacing line ranges', async function () {
+        await fs.writeFile(testFile, 'one\r\ntwo\r\nthree\r\n');
+        await applyEdits({ filePath: relFile, edits: [{ startLine: 2, newContent: 'TWO' }, { startLine: 3, newContent: '' }] });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('one\r\nTWO\r\n');
+    });
+});
+
+describe('applyPatch', function () {
+    const testDir = path.join(os.homedir(), 'test_apply_patch');
+
+    beforeEach(async function () {
+        await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'src', 'a.txt'), 'one\ntwo\nthree\nfour\nfive\nsix\nseven\n');
+        await fs.writeFile(path.join(testDir, 'src', 'old.txt'), 'keep\n');
+        await fs.writeFile(path.join(testDir, 'gone.txt'), 'bye\n');
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await emptyTrash({});
+    });
+
+    it('should modify, create, delete and rename files from one git diff', async function () {
+        const patch = [
+            'diff --git a/src/a.txt b/src/a.txt',
+            '--- a/src/a.txt',
+            '+++ b/src/a.txt',
+            '@@ -1,3 +1,3 @@',
+            ' one',
+            '-two',
+            '+TWO',
+            ' three',
+            '@@ -5,3 +5,4 @@',
+            ' five',
+            ' six',
+            '+six and a half',
+            ' seven',
+            'diff --git a/new.txt b/new.txt',
+            'new file mode 100644',
+            '--- /dev/null',
+            '+++ b/new.txt',
+            '@@ -0,0 +1,2 @@',
+            '+hello',
+            '+world',
+            '\\ No newline at end of file',
+            'diff --git a/gone.txt b/gone.txt',
+            'deleted file mode 100644',
+            '--- a/gone.txt',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-bye',
+            'diff --git a/src/old.txt b/src/renamed.txt',
+            'similarity index 100%',
+            'rename from src/old.txt',
+            'rename to src/renamed.txt',
+            '',
+        ].join('\n');
+        const result = await applyPatch({ patch, basePath: 'test_apply_patch' });
+        expect(result.applied).to.be.true;
+        expect(result.files.map(f => f.action)).to.deep.equal(['modify', 'create', 'delete', 'rename']);
+        expect(result.files[0].hunks.map(h => h.status)).to.deep.equal(['applied', 'applied']);
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.equal('one\nTWO\nthree\nfour\nfive\nsix\nsix and a half\nseven\n');
+        expect(await fs.readFile(path.join(testDir, 'new.txt'), 'utf8')).to.equal('hello\nworld');
+        await expect(fs.stat(path.join(testDir, 'gone.txt'))).to.be.rejectedWith(/ENOENT/);
+        expect((await listTrash()).entries.map(e => e.id)).to.include('gone.txt');
+        expect(await fs.readFile(path.join(testDir, 'src', 'renamed.txt'), 'utf8')).to.equal('keep\n');
+        await expect(fs.stat(path.join(testDir, 'src', 'old.txt'))).to.be.rejectedWith(/ENOENT/);
+    });
+
+    it('should apply hunks at an offset and with fuzz', async function () {
+        await fs.writeFile(path.join(testDir, 'src', 'a.txt'), 'zero\none\ntwo\nthree\nfour\nfive\nsix\nseven\n');
+        const patch = '--- a/src/a.txt\n+++ b/src/a.txt\n@@ -4,3 +4,3 @@\n 4\n-five\n+FIVE\n six\n';
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/no files were changed.*hunk 1 \(line 4\)/);
+        const result = await applyPatch({ patch, basePath: 'test_apply_patch', fuzz: 1 });
+        expect(result.files[0].hunks[0]).to.include({ status: 'applied', line: 5, offset: 1, fuzz: 1 });
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.include('four\nFIVE\nsix\n');
+    });
+
+    it('should change nothing if any file fails, and report hunks on a dry run', async function () {
+        const patch = [
+            '--- a/src/a.txt',
+            '+++ b/src/a.txt',
+            '@@ -1,2 +1,2 @@',
+            '-one',
+            '+ONE',
+            ' two',
+            '--- a/src/old.txt',
+            '+++ b/src/old.txt',
+            '@@ -1 +1 @@',
+            '-not there',
+            '+changed',
+            '',
+        ].join('\n');
+        const dryRun = await applyPatch({ patch, basePath: 'test_apply_patch', dryRun: true });
+        expect(dryRun.applied).to.be.false;
+        expect(dryRun.files.map(f => f.hunks[0].status)).to.deep.equal(['applied', 'failed']);
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/old\.txt hunk 1/);
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.match(/^one\n/);
+    });
+
+    it('should roll back files already written when a later step fails', async function () {
+        const patch = [
+            '--- a/src/a.txt',
+            '+++ b/src/a.txt',
+            '@@ -1 +1 @@',
+            '-one',
+            '+ONE',
+            '--- /dev/null',
+            '+++ b/blocked/new.txt',
+            '@@ -0,0 +1 @@',
+            '+x',
+            '',
+        ].join('\n');
+        await fs.writeFile(path.join(testDir, 'blocked'), 'a file, not a directory');
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/rolled back/);
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.match(/^one\n/);
+    });
+
+    it('should restore a deleted file on rollback even when trash bookkeeping fails', async function () {
+        const patch = [
+            '--- a/gone.txt',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-bye',
+            '--- /dev/null',
+            '+++ b/blocked/new.txt',
+            '@@ -0,0 +1 @@',
+            '+x',
+            '',
+        ].join('\n');
+        await fs.writeFile(path.join(testDir, 'blocked'), 'a file, not a directory');
+        // A ledger that cannot be read makes every ledger update and retention run fail.
+        const ledger = path.join(testDataDir, 'trash-ledger.json');
+        await fs.rm(ledger, { force: true });
+        await fs.mkdir(ledger, { recursive: true });
+        try {
+            await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/rolled back/);
+            expect(await fs.readFile(path.join(testDir, 'gone.txt'), 'utf8')).to.equal('bye\n');
+            await fs.rm(path.join(testDir, 'blocked'));
+            expect((await applyPatch({ patch, basePath: 'test_apply_patch' })).applied).to.be.true;
+        } finally {
+            await fs.rm(ledger, { recursive: true, force: true });
+        }
+    });
+
+    it('should refuse a patch that changes the same file in two sections', async function () {
+        const patch = [
+            '--- a/src/a.txt',
+            '+++ b/src/a.txt',
+            '@@ -1 +1 @@',
+            '-one',
+            '+ONE',
+            '--- a/src/a.txt',
+            '+++ b/src/a.txt',
+            '@@ -3 +3 @@',
+            '-three',
+            '+THREE',
+            '',
+        ].join('\n');
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/more than one section.*No files were changed/);
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.match(/^one\ntwo\nthree\n/);
+    });
+
+    it('should check expectedVersions before changing anything', async function () {
+        const { hash } = await readFile({ filePath: 'test_apply_patch/src/a.txt' });
+        const patch = '--- a/src/a.txt\n+++ b/src/a.txt\n@@ -1 +1 @@\n-one\n+ONE\n';
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch', expectedVersions: { 'src/a.txt': { expectedHash: '0'.repeat(64) } } }))
+            .to.be.rejectedWith(/Conflict: .* has changed/);
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch', expectedVersions: { 'src/old.txt': { expectedHash: hash } } }))
+            .to.be.rejectedWith(/does not change/);
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.match(/^one\n/);
+        await applyPatch({ patch, basePath: 'test_apply_patch', expectedVersions: { 'src/a.txt': { expectedHash: hash } } });
+        expect(await fs.readFile(path.join(testDir, 'src', 'a.txt'), 'utf8')).to.match(/^ONE\n/);
+    });
+
+    it('should need delete permission to rename a file away', async function () {
+        const patch = 'diff --git a/src/old.txt b/renamed.txt\nrename from src/old.txt\nrename to renamed.txt\n';
+        configure({ policy: { delete: { deny: ['test_apply_patch/src/**'] } } });
+        try {
+            await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/denied by policy/);
+        } finally {
+            configure({ policy: undefined });
+        }
+        expect(await fs.readFile(path.join(testDir, 'src', 'old.txt'), 'utf8')).to.equal('keep\n');
+    });
+
+    it('should refuse paths outside the allowed roots', async function () {
+        const patch = '--- /dev/null\n+++ b/../escape.txt\n@@ -0,0 +1 @@\n+x\n';
+        await expect(applyPatch({ patch, basePath: 'test_apply_patch' })).to.be.rejectedWith(/restricted/);
+    });
+});
+
+describe('diffFiles', function () {
+    const testDir = path.join(os.homedir(), 'test_diff_files');
+
+    before(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'old.txt'), 'alpha\nbeta\ngamma\ndelta\n');
+        await fs.writeFile(path.join(testDir, 'new.txt'), 'alpha\nBETA\ngamma\ndelta\nepsilon\n');
+        await fs.writeFile(path.join(testDir, 'crlf.txt'), 'alpha  \r\nbeta\r\ngamma\r\ndelta');
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should produce a unified diff of two files with a summary', async function () {
+        const result = await diffFiles({ filePath: 'test_diff_files/old.txt', otherPath: 'test_diff_files/new.txt', contextLines: 1 });
+        expect(result.identical).to.be.false;
+        expect(result.summary).to.deep.equal({ added: 2, removed: 1 });
+        expect(result.diff).to.include('@@ -1,4 +1,5 @@\n alpha\n-beta\n+BETA\n gamma\n delta\n+epsilon\n');
+        const separate = await diffFiles({ filePath: 'test_diff_files/old.txt', otherPath: 'test_diff_files/new.txt', contextLines: 0 });
+        expect(separate.diff).to.include('@@ -2,1 +2,1 @@\n-beta\n+BETA\n@@ -4,0 +5,1 @@\n+epsilon\n');
+    });
+
+    it('should compare a file with proposed content side by side', async function () {
+        const result = await diffFiles({
+            filePath: 'test_diff_files/old.txt',
+            content: 'alpha\nbeta\ngamma\nDELTA\n',
+            format: 'side-by-side',
+            contextLines: 1,
+        });
+        expect(result.diff.split('\n')).to.deep.equal([
+            '...',
+            '3 gamma   3 gamma',
+            '4 delta | 4 DELTA',
+        ]);
+        expect(result.summary).to.deep.equal({ added: 1, removed: 1 });
+    });
+
+    it('should optionally ignore whitespace and line endings', async function () {
+        const strict = await diffFiles({ filePath: 'test_diff_files/old.txt', otherPath: 'test_diff_files/crlf.txt' });
+        expect(strict.summary.removed).to.equal(4);
+        const relaxed = await diffFiles({
+            filePath: 'test_diff_files/old.txt',
+            otherPath: 'test_diff_files/crlf.txt',
+            ignoreWhitespace: true,
+            ignoreLineEndings: true,
+        });
+        expect(relaxed).to.deep.equal({ diff: '', identical: true, summary: { added: 0, removed: 0 } });
+    });
+
+    it('should need exactly one thing to compare with', async function () {
+        await expect(diffFiles({ filePath: 'test_diff_files/old.txt' })).to.be.rejectedWith(/either otherPath or content/);
+    });
+});
+
+describe('readFile ranges', function () {
+    const testDir = path.join(os.homedir(), 'test_read_ranges');
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+    before(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'lines.txt'), lines);
+        await fs.writeFile(path.join(testDir, 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0xff]));
+        await fs.writeFile(path.join(testDir, 'utf8.txt'), 'héllo wörld');
+    });
+
+    afterEach(function () {
+        configure({ maxResponseBytes: undefined });
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should read a range of lines and report the totals', async function () {
+        const result = await readFile({ filePath: 'test_read_ranges/lines.txt', startLine: 3, lineCount: 2 });
+        expect(result).to.include({ content: 'line 3\nline 4\n', startLine: 3, endLine: 4, totalBytes: lines.length, truncated: false });
+        expect(result.hash).to.be.undefined;
+        // Counting the lines means reading to the end, so it is only done on request.
+        expect(result.totalLines).to.be.undefined;
+        expect(await readFile({ filePath: 'test_read_ranges/lines.txt', startLine: 3, lineCount: 2, countTotalLines: true }))
+            .to.include({ content: 'line 3\nline 4\n', totalLines: 10 });
+        expect(await readFile({ filePath: 'test_read_ranges/lines.txt', startLine: 9 })).to.include({ endLine: 10, totalLines: 10 });
+        const next = await readFile({ filePath: 'test_read_ranges/lines.txt', cursor: result.nextCursor, lineCount: 100 });
+        expect(next).to.include({ startLine: 5, endLine: 10, totalLines: 10, truncated: false });
+        expect(next.content).to.equal(lines.split('\n').slice(4).join('\n'));
+        expect(next.nextCursor).to.be.undefined;
+        await expect(readFile({ filePath: 'test_read_ranges/lines.txt', startLine: 12 })).to.be.rejectedWith(/past the end of the file, which has 10 line/);
+    });
+
+    it('should read a byte range without splitting characters', async function () {
+        const result = await readFile({ filePath: 'test_read_ranges/utf8.txt', byteOffset: 0, byteLength: 2 });
+        expect(result).to.include({ content: 'h', bytesRead: 1, byteOffset: 0 });
+        const rest = await readFile({ filePath: 'test_read_ranges/utf8.txt', cursor: result.nextCursor });
+        expect(rest.content).to.equal('éllo wörld');
+    });
+
+    it('should truncate at maxResponseBytes and continue from the cursor', async function () {
+        configure({ maxResponseBytes: 20 });
+        const first = await readFile({ filePath: 'test_read_ranges/lines.txt' });
+        expect(first).to.include({ content: 'line 1\nline 2\nline 3', truncated: true, totalBytes: lines.length });
+        expect(first.hash).to.be.undefined;
+        const byLines = await readFile({ filePath: 'test_read_ranges/lines.txt', startLine: 1 });
+        expect(byLines).to.include({ content: 'line 1\nline 2\nline 3', truncated: true, endLine: 3 });
+        const rest = await readFile({ filePath: 'test_read_ranges/lines.txt', cursor: byLines.nextCursor, lineCount: 1 });
+        expect(rest).to.include({ content: '\n', startLine: 3 });
+    });
+
+    it('should return binary files as base64 or refuse them', async function () {
+        const result = await readFile({ filePath: 'test_read_ranges/image.png' });
+        expect(result.encoding).to.equal('base64');
+        expect(Buffer.from(result.content, 'base64')[1]).to.equal(0x50);
+        await expect(readFile({ filePath: 'test_read_ranges/image.png', binary: 'error' })).to.be.rejectedWith(/binary file/);
+        await expect(readFile({ filePath: 'test_read_ranges/image.png', startLine: 1 })).to.be.rejectedWith(/cannot be read by lines/);
+    });
+
+    it('should refuse a cursor once the file has changed', async function () {
+        const first = await readFile({ filePath: 'test_read_ranges/lines.txt', lineCount: 1 });
+        await fs.appendFile(path.join(testDir, 'lines.txt'), 'more\n');
+        await expect(readFile({ filePath: 'test_read_ranges/lines.txt', cursor: first.nextCursor })).to.be.rejectedWith(/changed since the cursor/);
+        await fs.writeFile(path.join(testDir, 'lines.txt'), lines);
+    });
+});
+
+describe('headFile and tailFile', function () {
+    const testDir = path.join(os.homedir(), 'test_head_tail');
+    const logFile = path.join(testDir, 'build.log');
+    const logLines = Array.from({ length: 20000 }, (_, i) => `entry ${i + 1}`);
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(logFile, logLines.join('\n') + '\n');
+    });
+
+    afterEach(async function () {
+        configure({ maxResponseBytes: undefined });
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should return the first and last lines of a large file', async function () {
+        const head = await headFile({ filePath: 'test_head_tail/build.log', lines: 3 });
+        expect(head).to.include({ content: 'entry 1\nentry 2\nentry 3\n', truncated: false });
+        const tail = await tailFile({ filePath: 'test_head_tail/build.log', lines: 3 });
+        expect(tail).to.include({ content: 'entry 19998\nentry 19999\nentry 20000\n', truncated: false });
+        const all = await tailFile({ filePath: 'test_head_tail/build.log', lines: 25000 });
+        expect(all.content.split('\n')).to.have.length(20001);
+    });
+
+    it('should handle files without a final newline and respect the response limit', async function () {
+        await fs.writeFile(logFile, 'a\nb\nc');
+        expect((await tailFile({ filePath: 'test_head_tail/build.log', lines: 2 })).content).to.equal('b\nc');
+        expect((await headFile({ filePath: 'test_head_tail/build.log', lines: 5 })).content).to.equal('a\nb\nc');
+        configure({ maxResponseBytes: 3 });
+        expect(await tailFile({ filePath: 'test_head_tail/build.log', lines: 3 })).to.include({ content: 'b\nc', truncated: true });
+    });
+
+    it('should follow appended lines until a pattern matches', async function () {
+        const progress = [];
+        const writer = (async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            await fs.appendFile(logFile, 'compiling\n');
+            await new Promise(resolve => setTimeout(resolve, 300));
+            await fs.appendFile(logFile, 'BUILD SUCCESS\nafter\n');
+        })();
+        const result = await tailFile(
+            { filePath: 'test_head_tail/build.log', lines: 1, follow: true, untilPattern: 'build (success|failure)', matchMode: 'regex', flags: 'i', timeoutMs: 5000 },
+            { sendProgress: async (count, message) => { progress.push([count, message]); } },
+        );
+        await writer;
+        expect(result).to.include({ content: 'entry 20000\n', stoppedBy: 'pattern', matchedLine: 'BUILD SUCCESS' });
+        expect(result.appended).to.equal('compiling\nBUILD SUCCESS\nafter\n');
+        expect(progress.map(([, message]) => message).join('')).to.equal(result.appended);
+        expect(progress[progress.length - 1][0]).to.equal(3);
+    });
+
+    it('should drop a partial line when the followed file is truncated', async function () {
+        const writer = (async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            await fs.appendFile(logFile, Buffer.concat([Buffer.from('half a li'), Buffer.from('é').subarray(0, 1)]));
+            await new Promise(resolve => setTimeout(resolve, 400));
+            await fs.writeFile(logFile, 'rotated\ndone\n');
+        })();
+        const result = await tailFile({ filePath: 'test_head_tail/build.log', lines: 0, follow: true, untilPattern: 'done', timeoutMs: 5000 });
+        await writer;
+        expect(result).to.include({ appended: 'rotated\ndone\n', stoppedBy: 'pattern', matchedLine: 'done' });
+    });
+
+    it('should stop adding to appended once it reaches the byte limit', async function () {
+        configure({ maxResponseBytes: 20 });
+        const writer = (async () => {
+            for (const line of ['éééééé\n', 'bbbbbbbb\n', 'c\n']) {
+                await new Promise(resolve => setTimeout(resolve, 300));
+                await fs.appendFile(logFile, line);
+            }
+        })();
+        const progress = [];
+        const result = await tailFile(
+            { filePath: 'test_head_tail/build.log', lines: 0, follow: true, untilPattern: 'c', timeoutMs: 5000 },
+            { sendProgress: async (count, message) => { progress.push(message); } },
+        );
+        await writer;
+        expect(result).to.include({ appended: 'éééééé\n', truncated: true, stoppedBy: 'pattern', matchedLine: 'c' });
+        expect(progress).to.deep.equal(['éééééé\n', 'bbbbbbbb\n', 'c\n']);
+    });
+
+    it('should stop following at the timeout', async function () {
+        const result = await tailFile({ filePath: 'test_head_tail/build.log', lines: 0, follow: true, timeoutMs: 300 });
+        expect(result).to.include({ content: '', appended: '', stoppedBy: 'timeout' });
+    });
+});
+
+describe('Line Editing', function () {
+    const testDir = path.join(os.homedir(), 'test_line_editing');
+    const testFile = path.join(testDir, 'list.txt');
+    const relFile = 'test_line_editing/list.txt';
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(testFile, 'one\r\ntwo\r\nthree\r\n');
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should insert before or after a line using the file\'s line endings', async function () {
+        await insertAtLine({ filePath: relFile, line: 2, content: 'one and a half\ntwo minus a bit' });
+        await insertAtLine({ filePath: relFile, line: 5, position: 'after', content: 'four' });
+        await insertAtLine({ filePath: relFile, line: 1, content: 'zero', expectedContent: 'one' });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('zero\r\none\r\none and a half\r\ntwo minus a bit\r\ntwo\r\nthree\r\nfour\r\n');
+    });
+
+    it('should append to a file without a final line break', async function () {
+        await fs.writeFile(testFile, 'a\nb');
+        await insertAtLine({ filePath: relFile, line: 3, content: 'c' });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('a\nb\nc');
+    });
+
+    it('should replace and delete line ranges', async function () {
+        const result = await replaceLines({ filePath: relFile, startLine: 2, endLine: 3, content: 'TWO\nTHREE\nFOUR\n' });
+        expect(result.hash).to.equal((await readFile({ filePath: relFile })).hash);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('one\r\nTWO\r\nTHREE\r\nFOUR\r\n');
+        await deleteLines({ filePath: relFile, startLine: 1, endLine: 2, expectedContent: 'one\nTWO' });
+        await deleteLines({ filePath: relFile, startLine: 2 });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('THREE\r\n');
+    });
+
+    it('should refuse stale line numbers', async function () {
+        await expect(replaceLines({ filePath: relFile, startLine: 2, endLine: 2, content: 'x', expectedContent: 'three' }))
+            .to.be.rejectedWith(/Conflict: Line 2 does not contain the expected content \(found "two"\)/);
+        await expect(deleteLines({ filePath: relFile, startLine: 3, endLine: 4 })).to.be.rejectedWith(/Line 4 is not in the file, which has 3 line/);
+        await expect(insertAtLine({ filePath: relFile, line: 4, position: 'after', content: 'x' })).to.be.rejectedWith(/Line 4 is not in the file/);
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('one\r\ntwo\r\nthree\r\n');
+    });
+});
+
+describe('Encodings and Line Endings', function () {
+    const testDir = path.join(os.homedir(), 'test_encodings');
+    const testFile = path.join(testDir, 'file.txt');
+    const relFile = 'test_encodings/file.txt';
+    const utf8Bom = Buffer.from([0xef, 0xbb, 0xbf]);
+
+    beforeEach(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+    });
+
+    afterEach(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should report the encoding, BOM and line endings of a file', async function () {
+        await fs.writeFile(testFile, Buffer.concat([utf8Bom, Buffer.from('a\r\nb\r\n')]));
+        const result = await readFile({ filePath: relFile });
+        expect(result).to.include({ content: 'a\r\nb\r\n', encoding: 'utf8', bom: true, eol: 'crlf' });
+        expect(await getFileInfo({ filePath: relFile })).to.include({ encoding: 'utf8', bom: true, eol: 'crlf' });
+        await fs.writeFile(testFile, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0xff]));
+        expect(await getFileInfo({ filePath: relFile })).to.include({ encoding: 'binary' });
+    });
+
+    it('should read UTF-16 files as text, by lines too', async function () {
+        await fs.writeFile(testFile, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('héllo\nwörld\n', 'utf16le')]));
+        expect(await readFile({ filePath: relFile })).to.include({ content: 'héllo\nwörld\n', encoding: 'utf16le', bom: true, eol: 'lf' });
+        expect((await readFile({ filePath: relFile, startLine: 2 })).content).to.equal('wörld\n');
+        await fs.writeFile(testFile, Buffer.from('hi\r\n', 'utf16le').swap16());
+        expect(await readFile({ filePath: relFile })).to.include({ content: 'hi\r\n', encoding: 'utf16be', bom: false });
+    });
+
+    it('should keep the BOM, encoding and line endings when editing', async function () {
+        await fs.writeFile(testFile, Buffer.concat([utf8Bom, Buffer.from('one\r\ntwo\r\n')]));
+        await editFile({ filePath: relFile, oldContent: 'one\ntwo', newContent: 'ONE\nTWO' });
+        await appendToFile({ filePath: relFile, content: 'three\n' });
+        await prependToFile({ filePath: relFile, content: 'zero\n' });
+        expect(await fs.readFile(testFile)).to.deep.equal(Buffer.concat([utf8Bom, Buffer.from('zero\r\nONE\r\nTWO\r\nthree\r\n')]));
+
+        const utf16 = (text) => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+        await fs.writeFile(testFile, utf16('a\r\nb\r\n'));
+        const result = await replaceString({ filePath: relFile, oldString: 'b', newString: 'b\nc' });
+        expect(await fs.readFile(testFile)).to.deep.equal(utf16('a\r\nb\r\nc\r\n'));
+        expect(result.hash).to.equal((await readFile({ filePath: relFile })).hash);
+        await replaceLines({ filePath: relFile, startLine: 1, endLine: 1, content: 'A' });
+        await saveContentToFile({ filePath: relFile, content: 'x\ny\n', overwrite: true });
+        expect(await fs.readFile(testFile)).to.deep.equal(utf16('x\r\ny\r\n'));
+    });
+
+    it('should read and write legacy encodings when asked to', async function () {
+        await fs.writeFile(testFile, Buffer.from('café\n', 'latin1'));
+        await expect(editFile({ filePath: relFile, oldContent: 'café', newContent: 'bar' })).to.be.rejectedWith(/not a text file/);
+        await editFile({ filePath: relFile, oldContent: 'café', newContent: 'crème', encoding: 'latin1' });
+        expect(await fs.readFile(testFile)).to.deep.equal(Buffer.from('crème\n', 'latin1'));
+        await createFile({ filePath: 'test_encodings/new.txt', content: 'hi', encoding: 'utf16le' });
+        expect(await fs.readFile(path.join(testDir, 'new.txt'))).to.deep.equal(Buffer.from([0xff, 0xfe, 0x68, 0, 0x69, 0]));
+    });
+
+    it('should convert encodings and line endings', async function () {
+        await fs.writeFile(testFile, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('a\r\nb\nc\r\n', 'utf16le')]));
+        const result = await convertFile({ filePath: relFile, encoding: 'utf8', eol: 'lf' });
+        expect(result).to.include({ encoding: 'utf8', bom: false, eol: 'lf' });
+        expect(await fs.readFile(testFile, 'utf8')).to.equal('a\nb\nc\n');
+        await convertFile({ filePath: relFile, bom: true, eol: 'crlf' });
+        expect(await fs.readFile(testFile)).to.deep.equal(Buffer.concat([utf8Bom, Buffer.from('a\r\nb\r\nc\r\n')]));
+        expect((await convertFile({ filePath: relFile, eol: 'crlf' })).content).to.match(/^Nothing to convert/);
+    });
+
+    it('should search CRLF files without stray carriage returns', async function () {
+        await fs.writeFile(testFile, 'foo\r\nbar\r\n');
+        expect((await searchInFile({ filePath: relFile, pattern: 'r$', matchMode: 'regex' })).content)
+            .to.deep.equal([{ lineNumber: 2, lineContent: 'bar' }]);
+    });
+});
+
+describe('directoryTree', function () {
+    const testDir = path.join(os.homedir(), 'test_directory_tree');
+    const relDir = 'test_directory_tree';
+
+    beforeEach(async function () {
+        await fs.mkdir(path.join(testDir, 'src', 'lib'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'build'), { recursive: true });
+        await fs.mkdir(path.join(testDir, '.git'), { recursive: true });
+        await fs.writeFile(path.join(testDir, '.gitignore'), 'build/\n*.log\n');
+        await fs.writeFile(path.join(testDir, '.git', 'HEAD'), 'ref: refs/heads/main');
+        await fs.writeFile(path.join(testDir, 'README.md'), '# hi');
+        await fs.writeFile(path.join(testDir, 'debug.log'), 'log');
+        await fs.writeFile(path.join(testDir, 'build', 'out.js'), 'out');
+        await fs.writeFile(path.join(testDir, 'src', 'index.js'), 'index');
+        await fs.writeFile(path.join(testDir, 'src', 'lib', 'util.js'), 'util');
+        await fs.writeFile(path.join(testDir, 'src', 'lib', 'notes.txt'), 'notes');
+    });
+
+    afterEach(async function () {
+        configure({ policy: undefined });
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should return a nested tree that honors .gitignore and hides dotfiles', async function () {
+        const result = await directoryTree({ directoryPath: relDir });
+        expect(result).to.include({ entryCount: 6, truncated: false });
+        expect(result.tree.children.map(node => node.name)).to.deep.equal(['src', 'README.md']);
+        const src = result.tree.children[0];
+        expect(src).to.include({ type: 'directory' });
+        expect(src.children.map(node => node.name)).to.deep.equal(['lib', 'index.js']);
+        expect(src.children[1]).to.include({ type: 'file', size: 5 });
+        expect(src.children[1].modifiedAt).to.be.a('string');
+
+        const all = await directoryTree({ directoryPath: relDir, showHidden: true, gitignore: false, format: 'text' });
+        expect(all.content).to.include('build/').and.include('debug.log').and.include('.gitignore').and.include('.git/');
+    });
+
+    it('should limit depth and filter with include and exclude globs', async function () {
+        const shallow = await directoryTree({ directoryPath: relDir, maxDepth: 1 });
+        expect(shallow.tree.children.find(node => node.name === 'src').children).to.deep.equal([]);
+        const js = await directoryTree({ directoryPath: relDir, include: ['*.js'], exclude: ['index.js'], format: 'text' });
+        expect(js.content).to.equal('test_directory_tree/\n  src/\n    lib/\n      util.js (4 bytes)');
+    });
+
+    it('should stop after maxEntries with a truncation marker', async function () {
+        const result = await directoryTree({ directoryPath: relDir, maxEntries: 3, format: 'text' });
+        expect(result).to.include({ entryCount: 3, truncated: true });
+        expect(result.content).to.include('    index.js (5 bytes)\n    ...\n  README.md').and.match(/\(truncated after 3 entries/);
+    });
+
+    it('should leave out entries the read policy denies', async function () {
+        configure({ policy: { read: { deny: ['test_directory_tree/src/lib/*.js'] } } });
+        const result = await directoryTree({ directoryPath: relDir, format: 'text' });
+        expect(result.content).to.include('notes.txt').and.not.include('util.js');
+    });
+});
+
+describe('searchContent', function () {
+    const testDir = path.join(os.homedir(), 'test_search_content');
+    const relDir = 'test_search_content';
+
+    before(async function () {
+        await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'dist'), { recursive: true });
+        await fs.writeFile(path.join(testDir, '.gitignore'), 'dist/\n');
+        await fs.writeFile(path.join(testDir, 'src', 'a.js'), 'const TODO = 1;\n// todo: fix (a)\nreturn;\n');
+        await fs.writeFile(path.join(testDir, 'src', 'b.txt'), 'first\r\nTODO twice TODO\r\n');
+        await fs.writeFile(path.join(testDir, 'dist', 'a.js'), 'TODO ignored\n');
+        await fs.writeFile(path.join(testDir, 'image.bin'), Buffer.from([0, 1, 2, 84, 79, 68, 79]));
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should find matches with their line and column, skipping ignored and binary files', async function () {
+        const result = await searchContent({ directoryPath: relDir, pattern: 'TODO' });
+        expect(result).to.include({ filesSearched: 2, truncated: false });
+        expect(result.matches.map(m => [path.basename(m.path), m.line, m.column])).to.deep.equal([
+            ['a.js', 1, 7], ['b.txt', 2, 1], ['b.txt', 2, 12],
+        ]);
+        expect(result.matches[1].lineContent).to.equal('TODO twice TODO');
+    });
+
+    it('should support case-insensitive, regex and include options with context', async function () {
+        const literal = await searchContent({ directoryPath: relDir, pattern: 'todo: fix (a)', caseInsensitive: true });
+        expect(literal.matches).to.have.length(1);
+        const regex = await searchContent({ directoryPath: relDir, pattern: 'todo\\b', matchMode: 'regex', flags: 'i', include: ['*.js'] });
+        expect(regex.matches.map(m => [path.basename(m.path), m.line])).to.deep.equal([['a.js', 1], ['a.js', 2]]);
+        const context = await searchContent({ directoryPath: relDir, pattern: '//\\s*todo', matchMode: 'regex', contextLines: 1 });
+        expect(context.matches[0]).to.include({ line: 2, column: 1 });
+        expect(context.matches[0].before).to.deep.equal(['const TODO = 1;']);
+        expect(context.matches[0].after).to.deep.equal(['return;']);
+    });
+
+    it('should page through matches with a cursor', async function () {
+        const first = await searchContent({ directoryPath: relDir, pattern: 'TODO', maxMatches: 2 });
+        expect(first.truncated).to.be.true;
+        const second = await searchContent({ directoryPath: relDir, pattern: 'TODO', maxMatches: 2, cursor: first.nextCursor });
+        expect(second.matches.map(m => m.column)).to.deep.equal([12]);
+        expect(second.nextCursor).to.be.undefined;
+        await expect(searchContent({ directoryPath: relDir, pattern: 'todo', cursor: first.nextCursor })).to.be.rejectedWith(/different search/);
+    });
+});
+
+describe('searchFiles', function () {
+    const testDir = path.join(os.homedir(), 'test_search_files');
+    const relDir = 'test_search_files';
+    const old = new Date('2020-01-01T00:00:00Z');
+
+    before(async function () {
+        await fs.mkdir(path.join(testDir, 'src', 'deep'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'README.md'), 'readme');
+        await fs.writeFile(path.join(testDir, 'src', 'app.ts'), 'app');
+        await fs.writeFile(path.join(testDir, 'src', 'App.test.ts'), 'a test');
+        await fs.writeFile(path.join(testDir, 'src', 'deep', 'util.ts'), 'utility code');
+        await fs.utimes(path.join(testDir, 'README.md'), old, old);
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    const names = (result) => result.content.map(f => f.relativePath);
+
+    it('should search recursively with globs and name patterns', async function () {
+        expect(names(await searchFiles({ directoryPath: relDir, glob: '**/*.ts' })))
+            .to.deep.equal(['src/App.test.ts', 'src/app.ts', 'src/deep/util.ts']);
+        expect(names(await searchFiles({ directoryPath: relDir, glob: 'src/*.ts' }))).to.deep.equal(['src/App.test.ts', 'src/app.ts']);
+        expect(names(await searchFiles({ directoryPath: relDir, fileNamePattern: '^app\\.', caseInsensitive: true })))
+            .to.deep.equal(['src/App.test.ts', 'src/app.ts']);
+        expect(names(await searchFiles({ directoryPath: relDir, type: 'directory' }))).to.deep.equal(['src', 'src/deep']);
+        expect(names(await searchFiles({ directoryPath: relDir, glob: '*.ts', maxDepth: 2 }))).to.not.include('src/deep/util.ts');
+    });
+
+    it('should filter by modification date given as ISO strings', async function () {
+        expect(names(await searchFiles({ directoryPath: relDir, modifiedBefore: '2021-01-01' }))).to.deep.equal(['README.md']);
+        expect(names(await searchFiles({ directoryPath: relDir, modifiedSince: '2021-01-01T00:00:00Z' }))).to.not.include('README.md');
+        await expect(searchFiles({ directoryPath: relDir, modifiedSince: 'yesterday' })).to.be.rejectedWith(/Invalid modifiedSince/);
+    });
+
+    it('should sort and page through results', async function () {
+        const first = await searchFiles({ directoryPath: relDir, sortBy: 'size', order: 'desc', limit: 2 });
+        expect(first).to.include({ total: 4 });
+        expect(names(first)).to.deep.equal(['src/deep/util.ts', 'README.md']);
+        const second = await searchFiles({ directoryPath: relDir, sortBy: 'size', order: 'desc', limit: 2, cursor: first.nextCursor });
+        expect(names(second)).to.deep.equal(['src/App.test.ts', 'src/app.ts']);
+        expect(second.nextCursor).to.be.undefined;
+    });
+
+    it('should stop scanning at scanLimit and say the results are truncated', async function () {
+        expect(await searchFiles({ directoryPath: relDir, type: 'any' })).to.include({ total: 6, truncated: false });
+        const capped = await searchFiles({ directoryPath: relDir, type: 'any', scanLimit: 2 });
+        expect(capped).to.include({ total: 2, truncated: true });
+        expect(capped.nextCursor).to.be.undefined;
+        await expect(searchFiles({ directoryPath: relDir, scanLimit: 0 })).to.be.rejectedWith(/Invalid scanLimit/);
+    });
+});
+
+describe('findFile', function () {
+    const testDir = path.join(os.homedir(), 'test_find_file');
+    const relDir = 'test_find_file';
+
+    before(async function () {
+        await fs.mkdir(path.join(testDir, 'Documents', 'Taxes'), { recursive: true });
+        await fs.mkdir(path.join(testDir, 'node_modules', 'tax'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'Documents', 'Taxes', 'tax spreadsheet 2025.xlsx'), 'x');
+        await fs.writeFile(path.join(testDir, 'Documents', 'Taxes', 'tax spreadsheet 2024.xlsx'), 'x');
+        await fs.writeFile(path.join(testDir, 'Documents', 'Taxes', 'receipts.txt'), 'x');
+        await fs.writeFile(path.join(testDir, 'Documents', 'shopping list.md'), 'x');
+        await fs.writeFile(path.join(testDir, 'node_modules', 'tax', 'spreadsheet.js'), 'x');
+        const lastYear = new Date(Date.now() - 365 * 86400000);
+        await fs.utimes(path.join(testDir, 'Documents', 'Taxes', 'tax spreadsheet 2024.xlsx'), lastYear, lastYear);
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should rank fuzzy matches, preferring file names and recent files', async function () {
+        const result = await findFile({ directoryPath: relDir, query: 'spredsheet tax' });
+        expect(result).to.include({ scanned: 4, truncated: false });
+        expect(result.results.map(r => r.relativePath).slice(0, 2)).to.deep.equal([
+            'Documents/Taxes/tax spreadsheet 2025.xlsx',
+            'Documents/Taxes/tax spreadsheet 2024.xlsx',
+        ]);
+        expect(result.results.map(r => r.relativePath)).to.not.include('Documents/shopping list.md');
+        expect(result.results[0].score).to.be.above(result.results[1].score);
+        expect(result.results[0].matchScore).to.be.within(0.8, 1);
+    });
+
+    it('should boost a matching file name over a matching directory', async function () {
+        const result = await findFile({ directoryPath: relDir, query: 'taxes', threshold: 0.5 });
+        expect(result.results[0].relativePath).to.match(/tax spreadsheet/);
+        expect(result.results.map(r => r.relativePath)).to.include('Documents/Taxes/receipts.txt');
+        expect((await findFile({ directoryPath: relDir, query: 'receipts', limit: 1 })).results).to.have.length(1);
+    });
+});
+
+describe('Full-text index', function () {
+    const testDir = path.join(os.homedir(), 'test_full_text_index');
+    const relDir = 'test_full_text_index';
+
+    before(async function () {
+        await fs.mkdir(path.join(testDir, 'notes'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'notes', 'garden.md'), 'Plant tomatoes in May.\nThe load order matters for seeds.\n');
+        await fs.writeFile(path.join(testDir, 'notes', 'server.md'), 'Configure the server.\nCheck the load order of modules.\n');
+        await fs.writeFile(path.join(testDir, 'notes', 'recipes.txt'), 'Tomato soup: tomatoes, basil.\n');
+        await fs.writeFile(path.join(testDir, 'image.bin'), Buffer.from([0, 1, 2, 0, 255]));
+    });
+
+    after(async function () {
+        await fs.rm(testDir, { recursive: true, force: true });
+        await dropIndex({ directoryPath: relDir }).catch(() => {});
+    });
+
+    it('should index text files and use the index for queries', async function () {
+        const built = await buildIndex({ directoryPath: relDir });
+        expect(built).to.include({ directory: testDir, files: 3, added: 3, updated: 0, unchanged: 0, removed: 0, skipped: 1 });
+
+        const result = await searchContent({ directoryPath: relDir, query: 'tomatoes' });
+        expect(result).to.include({ indexUsed: testDir, filesSearched: 2, filesSkippedByIndex: 1 });
+        expect(result.matches.map(m => [path.basename(m.path), m.line, m.column])).to.deep.equal([
+            ['garden.md', 1, 7],
+            ['recipes.txt', 1, 14],
+        ]);
+
+        const sub = await searchContent({ directoryPath: `${relDir}/notes`, query: 'configure', useIndex: true });
+        expect(sub).to.include({ indexUsed: testDir, filesSearched: 1, filesSkippedByIndex: 2 });
+    });
+
+    it('should support phrases, OR, exclusions and prefixes', async function () {
+        const files = async (query) => [...new Set((await searchContent({ directoryPath: relDir, query })).matches.map(m => path.basename(m.path)))];
+        expect(await files('"load order"')).to.deep.equal(['garden.md', 'server.md']);
+        expect(await files('"order load"')).to.deep.equal([]);
+        expect(await files('"load order" -seeds')).to.deep.equal(['server.md']);
+        expect(await files('"load order" NOT modules')).to.deep.equal(['garden.md']);
+        expect(await files('basil OR configure')).to.deep.equal(['recipes.txt', 'server.md']);
+        expect(await files('tomat*')).to.deep.equal(['garden.md', 'recipes.txt']);
+        expect(await files('tomat')).to.deep.equal([]);
+        expect((await searchContent({ directoryPath: relDir, query: 'TOMATO soup' })).matches.map(m => m.column)).to.deep.equal([1, 8]);
+    });
+
+    it('should fall back to reading changed and unindexed files', async function () {
+        await fs.writeFile(path.join(testDir, 'notes', 'server.md'), 'Restart the server after planting tomatoes.\n');
+        await fs.writeFile(path.join(testDir, 'notes', 'new.md'), 'More tomatoes.\n');
+        await fs.rm(path.join(testDir, 'notes', 'recipes.txt'));
+
+        const status = (await indexStatus({ directoryPath: relDir })).indexes[0];
+        expect(status).to.include({ directory: testDir, files: 3, changed: 1, unindexed: 2, removed: 1, upToDate: false });
+
+        const result = await searchContent({ directoryPath: relDir, query: 'tomatoes' });
+        expect(result.matches.map(m => path.basename(m.path))).to.deep.equal(['garden.md', 'new.md', 'server.md']);
+
+        const updated = await buildIndex({ directoryPath: relDir });
+        expect(updated).to.include({ files: 3, added: 1, updated: 1, unchanged: 1, removed: 1, skipped: 1 });
+        expect((await indexStatus({ directoryPath: relDir })).indexes[0]).to.include({ changed: 0, removed: 0, upToDate: true });
+        expect(await searchContent({ directoryPath: relDir, query: 'modules' })).to.include({ filesSearched: 0, filesSkippedByIndex: 3 });
+
+        const rebuilt = await buildIndex({ directoryPath: relDir, rebuild: true });
+        expect(rebuilt).to.include({ files: 3, added: 3, removed: 3 });
+    });
+
+    it('should list and drop indexes', async function () {
+        const listed = await indexStatus({});
+        expect(listed.indexes.map(index => index.directory)).to.include(testDir);
+        configure({ policy: { read: { deny: [`${relDir}/**`] } } });
+        try {
+            expect((await indexStatus({})).indexes.map(index => index.directory)).to.not.include(testDir);
+        } finally {
+            configure({ policy: undefined });
+        }
+
+        await dropIndex({ directoryPath: relDir });
+        expect((await searchContent({ directoryPath: relDir, query: 'tomatoes' })).indexUsed).to.equal(null);
+        await expect(dropIndex({ directoryPath: relDir })).to.be.rejectedWith(/There is no index/);
+        await expect(indexStatus({ directoryPath: relDir })).to.be.rejectedWith(/There is no index/);
+    });
+
+    it('should audit index changes and refuse them in read-only mode', async function () {
+        await buildIndex({ directoryPath: relDir });
+        await dropIndex({ directoryPath: relDir });
+        const { entries } = await readAuditLog({ path: relDir, limit: 2 });
+        expect(entries.map(e => [e.tool, e.paths])).to.deep.equal([['dropIndex', [testDir]], ['buildIndex', [testDir]]]);
+        configure({ readOnly: true });
+        try {
+            await expect(buildIndex({ directoryPath: relDir })).to.be.rejectedWith(/read-only mode/);
+            await expect(dropIndex({ directoryPath: relDir })).to.be.rejectedWith(/read-only mode/);
+            expect(getToolDefinition().tools.map(t => t.name)).to.include('indexStatus').and.not.include.members(['buildIndex', 'dropIndex']);
+        } finally {
+            configure({ readOnly: undefined });
+        }
+    });
+
+    it('should reject invalid queries', async function () {
+        await expect(searchContent({ directoryPath: relDir, query: '-tomatoes' })).to.be.rejectedWith(/nothing to look for/);
+        await expect(searchContent({ directoryPath: relDir, query: 'a', pattern: 'a' })).to.be.rejectedWith(/either a pattern or a query/);
+        await expect(searchContent({ directoryPath: relDir })).to.be.rejectedWith(/either a pattern or a query/);
+    });
+});
+
+describe('Watching', function () {
+    const testDir = path.join(os.homedir(), 'test_watching');
+    const relDir = 'test_watching';
+    let session;
+
+    // A fake MCP session collecting the notifications watchPath sends.
+    function createSession() {
+        const notifications = [];
+        return {
+            notifications,
+            context: { watches: new Map(), notify: async (method, params) => { notifications.push({ method, params }); } },
+            events: () => notifications.flatMap(n => n.params.events.map(e => [e.type, path.relative(testDir, e.path), e.oldPath && path.relative(testDir, e.oldPath)])),
+        };
+    }
+
+    async function waitUntil(condition, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!condition() && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
+    beforeEach(async function () {
+        await fs.mkdir(path.join(testDir, 'sub'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'existing.txt'), 'old');
+        session = createSession();
+    });
+
+    afterEach(async function () {
+        for (const watchId of [...session.context.watches.keys()]) {
+            await unwatchPath({ watchId }, session.context);
+        }
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should report coalesced create, modify, rename and delete events', async function () {
+        const result = await watchPath({ path: relDir, recursive: true, debounceMs: 100 }, session.context);
+        expect(result).to.include({ path: testDir, entries: 2 });
+        expect(result.mode).to.be.oneOf(['native', 'poll']);
+
+        await fs.writeFile(path.join(testDir, 'sub', 'download.part'), 'a');
+        await fs.appendFile(path.join(testDir, 'sub', 'download.part'), 'b');
+        await fs.writeFile(path.join(testDir, 'existing.txt'), 'new contents');
+        await waitUntil(() => session.events().length >= 2);
+        expect(session.notifications[0]).to.deep.include({ method: 'notifications/fs/changed' });
+        expect(session.notifications[0].params).to.include({ watchId: result.watchId, path: testDir });
+        expect(session.events()).to.deep.equal([
+            ['modify', 'existing.txt', undefined],
+            ['create', 'sub/download.part', undefined],
+        ]);
+
+        session.notifications.length = 0;
+        await fs.rename(path.join(testDir, 'sub', 'download.part'), path.join(testDir, 'sub', 'movie.mkv'));
+        await fs.rm(path.join(testDir, 'existing.txt'));
+        await waitUntil(() => session.events().length >= 2);
+        expect(session.events()).to.deep.equal([
+            ['delete', 'existing.txt', undefined],
+            ['rename', 'sub/movie.mkv', 'sub/download.part'],
+        ]);
+    });
+
+    it('should poll, filter with include and report directory renames once', async function () {
+        const { watchId, mode } = await watchPath({ path: relDir, recursive: true, mode: 'poll', pollIntervalMs: 100, include: ['*.pdf', 'sub*'] }, session.context);
+        expect(mode).to.equal('poll');
+        await fs.writeFile(path.join(testDir, 'sub', 'report.pdf'), 'pdf');
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'ignored');
+        await waitUntil(() => session.events().length >= 1);
+        expect(session.events()).to.deep.equal([['create', 'sub/report.pdf', undefined]]);
+
+        session.notifications.length = 0;
+        await fs.rename(path.join(testDir, 'sub'), path.join(testDir, 'sub2'));
+        await waitUntil(() => session.events().length >= 1);
+        await new Promise(resolve => setTimeout(resolve, 250));
+        expect(session.events()).to.deep.equal([['rename', 'sub2', 'sub']]);
+
+        await unwatchPath({ watchId }, session.context);
+        session.notifications.length = 0;
+        await fs.writeFile(path.join(testDir, 'late.pdf'), 'pdf');
+        await new Promise(resolve => setTimeout(resolve, 250));
+        expect(session.notifications).to.deep.equal([]);
+        await expect(unwatchPath({ watchId }, session.context)).to.be.rejectedWith(/No watch with id/);
+    });
+
+    it('should watch a single file, including atomic replacement', async function () {
+        await watchPath({ path: `${relDir}/existing.txt`, debounceMs: 50, mode: 'poll', pollIntervalMs: 100 }, session.context);
+        await fs.writeFile(path.join(testDir, 'other.txt'), 'x');
+        await fs.writeFile(path.join(testDir, 'existing.tmp'), 'replaced');
+        await fs.rename(path.join(testDir, 'existing.tmp'), path.join(testDir, 'existing.txt'));
+        await waitUntil(() => session.events().length >= 1);
+        expect(session.events()).to.deep.equal([['modify', 'existing.txt', undefined]]);
+    });
+
+    it('should need a session and an existing path', async function () {
+        await expect(watchPath({ path: relDir })).to.be.rejectedWith(/needs an MCP session/);
+        await expect(watchPath({ path: `${relDir}/missing` }, session.context)).to.be.rejectedWith(/Nothing to watch/);
+    });
+
+    it('should wait for a file to appear and stop changing', async function () {
+        this.timeout(10000);
+        const writer = (async () => {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            await fs.writeFile(path.join(testDir, 'sub', 'report-1.pdf'), 'part');
+            await new Promise(resolve => setTimeout(resolve, 200));
+            await fs.appendFile(path.join(testDir, 'sub', 'report-1.pdf'), ' done');
+        })();
+        const result = await waitForFile({ path: `${relDir}/sub`, pattern: 'report-*.pdf', stableMs: 500, timeoutMs: 5000 });
+        await writer;
+        expect(result).to.include({ found: true, stoppedBy: 'found', path: path.join(testDir, 'sub', 'report-1.pdf'), type: 'file', size: 9 });
+        expect(result.waitedMs).to.be.at.least(900);
+
+        expect(await waitForFile({ path: `${relDir}/existing.txt` })).to.include({ found: true, size: 3 });
+        expect(await waitForFile({ path: relDir, pattern: '*.pdf', timeoutMs: 0 })).to.include({ found: false });
+        expect(await waitForFile({ path: relDir, pattern: '*.pdf', recursive: true, timeoutMs: 0 })).to.include({ found: true, stoppedBy: 'found' });
+        const timedOut = await waitForFile({ path: `${relDir}/never.txt`, timeoutMs: 300 });
+        expect(timedOut).to.include({ found: false, stoppedBy: 'timeout' });
+        expect(timedOut.waitedMs).to.be.at.least(300);
+    });
+});
+
+describe('MCP Server', function () {
+    const testDir = path.join(os.homedir(), 'test_mcp_server');
+    let client;
+
+    before(async function () {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'hello.txt'), 'Hello from MCP');
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await createMcpServer().connect(serverTransport);
+        client = new Client({ name: 'test-client', version: '1.0.0' });
+        await client.connect(clientTransport);
+    });
+
+    after(async function () {
+        await client.close();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should complete the initialize handshake', function () {
+        expect(client.getServerCapabilities()).to.have.property('tools');
+        expect(client.getServerVersion().name).to.be.a('string');
+    });
+
+    it('should list the tools from getToolDefinition', async function () {
+        const { tools } = await client.listTools();
+        const readFileTool = tools.find(t => t.name === 'readFile');
+        expect(readFileTool.inputSchema.type).to.equal('object');
+        expect(readFileTool.inputSchema.required).to.deep.equal(['filePath']);
+        expect(tools.some(t => t.name === 'getToolDefinition')).to.be.false;
+    });
+
+    it('should send tailFile follow output as progress notifications', async function () {
+        const messages = [];
+        const call = client.callTool(
+            { name: 'tailFile', arguments: { filePath: 'test_mcp_server/hello.txt', lines: 0, follow: true, untilPattern: 'done', timeoutMs: 5000 } },
+            undefined,
+            { onprogress: (progress) => messages.push(progress.message) },
+        );
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await fs.appendFile(path.join(testDir, 'hello.txt'), '\nstep 1\ndone\n');
+        const result = await call;
+        expect(messages).to.deep.equal(['\nstep 1\ndone\n']);
+        expect(result.structuredContent).to.include({ stoppedBy: 'pattern', matchedLine: 'done' });
+        await fs.writeFile(path.join(testDir, 'hello.txt'), 'Hello from MCP');
+    });
+
+    it('should send watchPath changes as notifications', async function () {
+        const received = [];
+        client.fallbackNotificationHandler = async (notification) => { received.push(notification); };
+        const watched = await client.callTool({ name: 'watchPath', arguments: { path: 'test_mcp_server', debounceMs: 50 } });
+        const { watchId } = watched.structuredContent;
+        try {
+            await fs.writeFile(path.join(testDir, 'new.txt'), 'x');
+            for (let attempt = 0; attempt < 100 && !received.length; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            expect(received[0].method).to.equal('notifications/fs/changed');
+            expect(received[0].params).to.deep.include({ watchId, events: [{ type: 'create', path: path.join(testDir, 'new.txt'), entryType: 'file' }] });
+        } finally {
+            await client.callTool({ name: 'unwatchPath', arguments: { watchId } });
+            await fs.rm(path.join(testDir, 'new.txt'), { force: true });
+        }
+    });
+
+    it('should dispatch tools/call to the tool functions', async function () {
+        const result = await client.callTool({ name: 'readFile', arguments: { filePath: 'test_mcp_server/hello.txt' } });
+        expect(result.isError).to.not.equal(true);
+        expect(JSON.parse(result.content[0].text).content).to.equal('Hello from MCP');
+    });
+
+    it('should describe every tool with input/output schemas and annotations', async function () {
+        const { tools } = await client.listTools();
+        for (const tool of tools) {
+            expect(tool.inputSchema.type, tool.name).to.equal('object');
+            expect(tool.outputSchema.type, tool.name).to.equal('object');
+            expect(tool.annotations.readOnlyHint, tool.name).to.be.a('boolean');
+        }
+        const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+        expect(byName.readFile.annotations.readOnlyHint).to.be.true;
+        expect(byName.deleteDirectory.annotations.destructiveHint).to.be.true;
+        expect(byName.createDirectory.annotations.idempotentHint).to.be.true;
+        expect(byName.exportContent.inputSchema.properties.format.enum).to.deep.equal(['md', 'pdf']);
+        expect(byName.exportContent.inputSchema.properties.sourceType.enum).to.deep.equal(['text', 'file']);
+    });
+
+    it('should return structured content matching the output schema', async function () {
+        await client.listTools();
+        const result = await client.callTool({ name: 'getFileInfo', arguments: { filePath: 'test_mcp_server/hello.txt' } });
+        expect(result.structuredContent.isFile).to.be.true;
+        expect(result.structuredContent.size).to.equal('Hello from MCP'.length);
+    });
+
+    it('should report tool failures as error results', async function () {
+        const result = await client.callTool({ name: 'readFile', arguments: { filePath: '../outside.txt' } });
+        expect(result.isError).to.be.true;
+        expect(result.content[0].text).to.match(/restricted/i);
+    });
+
+    it('should reject unknown tools', async function () {
+        await expect(client.callTool({ name: 'noSuchTool', arguments: {} })).to.be.rejectedWith(/Unknown tool/);
+    });
+});
+
+describe('MCP HTTP Server', function () {
+    const token = 'test-token';
+    let httpServer;
+    let url;
+
+    before(async function () {
+        httpServer = await startHttpServer({ port: 0, token });
+        url = new URL(`http://127.0.0.1:${httpServer.address().port}/mcp`);
+    });
+
+    after(function (done) {
+        httpServer.close(done);
+    });
+
+    it('should bind to localhost by default', function () {
+        expect(httpServer.address().address).to.equal('127.0.0.1');
+    });
+
+    it('should reject requests without the bearer token', async function () {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+        });
+        expect(response.status).to.equal(401);
+    });
+
+    it('should serve tools/list and tools/call to an authenticated client', async function () {
+        const client = new Client({ name: 'test-http-client', version: '1.0.0' });
+        const transport = new StreamableHTTPClientTransport(url, {
+            requestInit: { headers: { Authorization: `Bearer ${token}` } },
+        });
+        await client.connect(transport);
+        try {
+            const { tools } = await client.listTools();
+            expect(tools.map(t => t.name)).to.include('listFiles');
+            const result = await client.callTool({ name: 'listFiles', arguments: {} });
+            expect(JSON.parse(result.content[0].text).files).to.be.an('array');
+        } finally {
+            await transport.terminateSession();
+            await client.close();
+        }
+    });
+
+    it('should close sessions that stay idle', async function () {
+        const idleServer = await startHttpServer({ port: 0, token, sessionIdleMs: 200 });
+        const idleUrl = `http://127.0.0.1:${idleServer.address().port}/mcp`;
+        const headers = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+        try {
+            const initialized = await fetch(idleUrl, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    jsonrpc: '2.0', id: 1, method: 'initialize',
+                    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'idle-client', version: '1.0.0' } },
+                }),
+            });
+            await initialized.text();
+            const sessionId = initialized.headers.get('mcp-session-id');
+            expect(sessionId).to.be.a('string');
+            const listTools = () => fetch(idleUrl, {
+                method: 'POST',
+                headers: { ...headers, 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-03-26' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+            });
+            const active = await listTools();
+            await active.text();
+            expect(active.status).to.equal(200);
+            await new Promise(resolve => setTimeout(resolve, 600));
+            const reaped = await listTools();
+            await reaped.text();
+            expect(reaped.status).to.equal(404);
+        } finally {
+            await new Promise(resolve => idleServer.close(resolve));
+        }
+    });
+
+    it('should require a token to start', async function () {
+        const saved = process.env.FS_MCP_TOKEN;
+        delete process.env.FS_MCP_TOKEN;
+        try {
+            await expect(startHttpServer({ port: 0 })).to.be.rejectedWith(/token is required/);
+        } finally {
+            if (saved !== undefined) process.env.FS_MCP_TOKEN = saved;
+        }
+    });
+});
+
 function getHomeRelativePath(absPath) {
   const home = os.homedir();
   if (absPath.startsWith(home)) {